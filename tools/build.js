@@ -43,7 +43,14 @@ const EXCLUDE_PATTERNS = [
     /^docs\//,
     /package\.json$/,
     /package-lock\.json$/,
-    /\.translation-sync\.json$/,
+    /\.translation-sync\.json$/,  // translation_sync.js project config (committed, not shipped)
+    /^translations\/[^\/]*\.js$/,  // translation_sync.js and its language registry (dev tools)
+    /\.xlf$/i,
+    /\.pot?$/i,
+    /\.csv$/i,
+    /untranslated_[^\/]*\.json$/i,
+    /translation_glossary\.json$/,
+    /translation_snapshots\.json$/,
     /icon_old\.dds\.bak$/,
 ];
 
@@ -18,36 +18,8 @@
 const fs = require('fs');
 const path = require('path');
 
-// Courseplay's language codes
-const LANGUAGES = {
-    'br': 'Portuguese (Brazil)',
-    'cs': 'Chinese Simplified',
-    'ct': 'Chinese Traditional',
-    'cz': 'Czech',
-    'da': 'Danish',
-    'de': 'German',
-    'ea': 'Spanish (Latin America)',
-    'en': 'English',
-    'es': 'Spanish',
-    'fc': 'French Canadian',
-    'fi': 'Finnish',
-    'fr': 'French',
-    'hu': 'Hungarian',
-    'id': 'Indonesian',
-    'it': 'Italian',
-    'jp': 'Japanese',
-    'kr': 'Korean',
-    'nl': 'Dutch',
-    'no': 'Norwegian',
-    'pl': 'Polish',
-    'pt': 'Portuguese',
-    'ro': 'Romanian',
-    'ru': 'Russian',
-    'sv': 'Swedish',
-    'tr': 'Turkish',
-    'uk': 'Ukrainian',
-    'vi': 'Vietnamese'
-};
+// Courseplay uses the FS25 language codes (cs = Chinese Simplified, cz = Czech)
+const { LANGUAGES } = require('../translations/translation_languages');
 
 // Known typos in Courseplay source to fix
 const ENGLISH_TYPOS = {
@@ -140,8 +112,9 @@ function generateReport(translationsPath) {
 
     const summary = [];
 
-    for (const [langCode, langName] of Object.entries(LANGUAGES)) {
+    for (const langCode of Object.keys(LANGUAGES).sort()) {
         if (langCode === 'en') continue;
+        const langName = LANGUAGES[langCode].name;
 
         const langPath = path.join(translationsPath, `translation_${langCode}.xml`);
         if (!fs.existsSync(langPath)) {
@@ -226,7 +199,7 @@ function exportUntranslated(translationsPath, langCode) {
 
     const exportData = {
         language: langCode,
-        languageName: LANGUAGES[langCode],
+        languageName: LANGUAGES[langCode] ? LANGUAGES[langCode].name : langCode,
         generatedAt: new Date().toISOString(),
         entries: issues.untranslated.map(i => ({
             key: i.key,
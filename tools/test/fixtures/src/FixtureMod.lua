@@ -0,0 +1,10 @@
+-- Fixture mod code for the translation_sync.js usage and rename tests
+FixtureMod = {}
+
+function FixtureMod:getMenuTitle()
+    return g_i18n:getText("fixture_menuTitle")
+end
+
+function FixtureMod:getFoundMessage(vehicleName)
+    return string.format(g_i18n:getText("fixture_vehicleFound"), vehicleName)
+end
@@ -0,0 +1,60 @@
+/**
+ * Shared helpers for the translation_sync.js tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', '..', 'translations', 'translation_sync.js');
+const FIXTURE_MOD = path.join(__dirname, 'fixtures');
+const FIXTURE_DIR = path.join(FIXTURE_MOD, 'translations');
+
+/**
+ * Copy the fixture mod to a new temporary directory, for tests that let the
+ * tool write files. extraFiles ({ name: content }) are added relative to its
+ * translations folder, whose path is returned.
+ */
+function copyFixture(extraFiles = {}) {
+    const modDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-sync-'));
+    fs.cpSync(FIXTURE_MOD, modDir, { recursive: true });
+    const dir = path.join(modDir, 'translations');
+    for (const [name, content] of Object.entries(extraFiles)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content, 'utf8');
+    }
+    return dir;
+}
+
+/**
+ * Remove a copy made by copyFixture()
+ */
+function removeFixture(dir) {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+}
+
+/**
+ * Run the command-line tool; returns { status, stdout, stderr }
+ */
+function runTool(args, cwd = os.tmpdir()) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [TOOL, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+    return { status, stdout, stderr };
+}
+
+/**
+ * runTool() without blocking, for tests that serve requests to the tool
+ */
+function runToolAsync(args, cwd = os.tmpdir()) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [TOOL, ...args], { cwd, encoding: 'utf8', timeout: 60000 }, (err, stdout, stderr) => {
+            resolve({ status: err ? (typeof err.code === 'number' ? err.code : 1) : 0, stdout, stderr });
+        });
+    });
+}
+
+function readFile(dir, name) {
+    return fs.readFileSync(path.join(dir, name), 'utf8');
+}
+
+module.exports = { TOOL, FIXTURE_MOD, FIXTURE_DIR, copyFixture, removeFixture, runTool, runToolAsync, readFile };
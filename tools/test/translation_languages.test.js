@@ -0,0 +1,40 @@
+/**
+ * Tests for translations/translation_languages.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LANGUAGES, LANGUAGE_ALIASES, getLanguage } = require('../../translations/translation_languages');
+
+describe('getLanguage', () => {
+    it('reads FS25 codes, not ISO codes: cs is Chinese, cz is Czech', () => {
+        assert.equal(getLanguage('cs').name, 'Chinese (Simpl.)');
+        assert.equal(getLanguage('cz').iso, 'cs');
+    });
+
+    it('resolves ISO aliases to the FS25 code, in any case', () => {
+        assert.equal(getLanguage('JA').code, 'jp');
+        assert.equal(getLanguage('tw').code, 'ct');
+    });
+
+    it('returns null for codes FS25 does not know', () => {
+        assert.equal(getLanguage('xx'), null);
+    });
+});
+
+describe('LANGUAGES', () => {
+    it('gives every language a name, a BCP 47 tag and a script', () => {
+        for (const [code, language] of Object.entries(LANGUAGES)) {
+            assert.match(code, /^[a-z]{2}$/);
+            assert.deepEqual(Object.keys(language), ['name', 'iso', 'script'], code);
+        }
+    });
+
+    it('has no alias that shadows an FS25 code', () => {
+        for (const [alias, code] of Object.entries(LANGUAGE_ALIASES)) {
+            assert.equal(LANGUAGES[alias], undefined, alias);
+            assert.ok(LANGUAGES[code], code);
+        }
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for translations/translation_sync.js (run with: npm test)
+ *
+ * fixtures/translations is a minimal mod translations folder: English plus a
+ * German file with one key missing and one stale hash. Tests only read it.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseTranslationFile, validateEntry, getHash, sync } = require('../../translations/translation_sync');
+const { FIXTURE_DIR, copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+const SOURCE_FILE = path.join(FIXTURE_DIR, 'translation_en.xml');
+const GERMAN_FILE = path.join(FIXTURE_DIR, 'translation_de.xml');
+
+describe('getHash', () => {
+    it('returns the first 8 hex characters of the MD5', () => {
+        assert.equal(getHash('Close'), 'd3d2e617');
+    });
+
+    it('hashes the entity-decoded value, not the raw XML', () => {
+        const { entries } = parseTranslationFile(SOURCE_FILE, 'elements');
+        const entry = entries.get('fixture_menuTitle');
+        assert.equal(entry.value, 'Finance & Searches');
+        assert.equal(getHash(entry.value), entry.hash);
+        assert.notEqual(getHash('Finance &amp; Searches'), entry.hash);
+    });
+});
+
+describe('parseTranslationFile', () => {
+    it('reads keys in file order with their eh= hashes', () => {
+        const { orderedKeys, entries, errors } = parseTranslationFile(GERMAN_FILE, 'elements');
+        assert.deepEqual(orderedKeys, ['fixture_menuTitle', 'fixture_close']);
+        assert.equal(entries.get('fixture_close').hash, 'a8b1352e');
+        assert.deepEqual(errors, []);
+    });
+});
+
+describe('validateEntry', () => {
+    it('accepts a translation with matching format specifiers', () => {
+        assert.deepEqual(validateEntry('k', 'Your agent found a %s!', 'Dein Agent hat %s gefunden!'), []);
+    });
+
+    it('reports a missing format specifier as an error', () => {
+        const issues = validateEntry('k', 'Your agent found a %s!', 'Dein Agent hat etwas gefunden!');
+        assert.ok(issues.some(issue => issue.severity === 'error'));
+    });
+
+    it('skips "[EN] " placeholders', () => {
+        assert.deepEqual(validateEntry('k', 'Your agent found a %s!', '[EN] Your agent found a !'), []);
+    });
+});
+
+describe('sync', () => {
+    it('throws when the directory has no source file', () => {
+        const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-sync-'));
+        try {
+            assert.throws(() => sync({ dir: emptyDir }), /Could not find source translation file/);
+        } finally {
+            fs.rmSync(emptyDir, { recursive: true, force: true });
+        }
+    });
+
+    it('returns the results without writing anything in dry-run mode', () => {
+        const before = fs.readdirSync(FIXTURE_DIR).map(file => [file, fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')]);
+        const cwd = process.cwd();
+
+        const result = sync({ dir: FIXTURE_DIR, dryRun: true });
+
+        assert.equal(result.sourceKeys, 3);
+        assert.ok(result.filesChanged > 0);
+        const german = result.languages.find(lang => lang.code === 'de');
+        assert.deepEqual(german.missing, ['fixture_vehicleFound']);
+        assert.deepEqual(german.stale, ['fixture_close']);
+
+        const after = fs.readdirSync(FIXTURE_DIR).map(file => [file, fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')]);
+        assert.deepEqual(after, before);
+        assert.equal(process.cwd(), cwd);
+    });
+
+    it('returns a diff for every file it counts as changed, the snapshot store too', () => {
+        const result = sync({ dir: FIXTURE_DIR, diff: true });
+
+        assert.equal(result.diffs.length, result.filesChanged);
+        assert.ok(result.diffs.some(diff => diff.startsWith('--- /dev/null\n+++ b/translation_snapshots.json')));
+    });
+
+    it('writes the changes, after which a second run changes nothing', () => {
+        const dir = copyFixture();
+        try {
+            const first = sync({ dir });
+            assert.equal(first.filesChanged, 2);
+            assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="\[EN\] Your agent found a %s!" eh="bf9782f6"/);
+            assert.equal(JSON.parse(readFile(dir, 'translation_snapshots.json')).bf9782f6, 'Your agent found a %s!');
+
+            assert.equal(sync({ dir }).filesChanged, 0);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it("doesn't carry one directory's project config into the next call", () => {
+        const dir = copyFixture({ '.translation-sync.json': JSON.stringify({ languageNames: { de: 'Deutsch' } }) });
+        try {
+            const germanName = result => result.languages.find(lang => lang.code === 'de').name;
+            assert.equal(germanName(sync({ dir, dryRun: true })), 'Deutsch');
+            assert.equal(germanName(sync({ dir: FIXTURE_DIR, dryRun: true })), 'German');
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('reports unparseable entries on the language\'s one summary line', () => {
+        const german = fs.readFileSync(GERMAN_FILE, 'utf8').replace('v="Schließen"', 'v="Schließen');
+        const dir = copyFixture({ 'translation_de.xml': german });
+        try {
+            const { stdout } = runTool(['sync', '--dry-run', '--dir', dir]);
+            assert.equal(stdout.match(/^ {2}German\b/gm).length, 1);
+            assert.match(stdout, /German\s+: 1 unparseable \(left untouched\).*\n {4}⚠ line 5: /);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
+
+describe('several --dir', () => {
+    it('prints one JSON array with a document per directory', () => {
+        const { status, stdout } = runTool(['validate', '--format', 'json', '--dir', FIXTURE_DIR, '--dir', FIXTURE_DIR, '--dir', 'no-such-dir']);
+        const documents = JSON.parse(stdout);
+
+        assert.equal(status, 1);
+        assert.deepEqual(documents.map(document => document.command), ['validate', 'validate', undefined]);
+        assert.equal(documents[0].directory, FIXTURE_DIR);
+        assert.match(documents[2].error, /Directory not found/);
+    });
+
+    it('prints one SARIF log with a run per directory', () => {
+        const { stdout } = runTool(['check', '--format', 'sarif', '--dir', FIXTURE_DIR, '--dir', 'no-such-dir']);
+        const log = JSON.parse(stdout);
+
+        assert.equal(log.runs.length, 2);
+        assert.ok(log.runs[0].results.length > 0);
+        assert.equal(log.runs[1].invocations[0].executionSuccessful, false);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for .translation-sync.json project config (translations/translation_sync.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyFixture, removeFixture, runTool } = require('./helpers');
+
+/**
+ * Run a command in a fixture copy with the given project config
+ */
+function runWithConfig(config, args) {
+    const dir = copyFixture({ '.translation-sync.json': typeof config === 'string' ? config : JSON.stringify(config) });
+    try {
+        return runTool([...args, '--dir', dir]);
+    } finally {
+        removeFixture(dir);
+    }
+}
+
+describe('project config validation', () => {
+    it('rejects unknown settings', () => {
+        const { status, stderr } = runWithConfig({ ignoreKeys: [] }, ['status']);
+        assert.equal(status, 1);
+        assert.match(stderr, /ignoreKeys/);
+    });
+
+    it('rejects null values', () => {
+        const { status, stderr } = runWithConfig({ languageNames: null }, ['status']);
+        assert.equal(status, 1);
+        assert.match(stderr, /languageNames/);
+    });
+
+    it('rejects lists holding anything but strings', () => {
+        assert.equal(runWithConfig({ ignoredKeys: ['fixture_close', 3] }, ['status']).status, 1);
+        assert.equal(runWithConfig({ identicalAllowed: { de: 'Close' } }, ['status']).status, 1);
+        assert.equal(runWithConfig({ failOn: [null] }, ['status']).status, 1);
+    });
+
+    it('rejects invalid JSON', () => {
+        const { status, stderr } = runWithConfig('{ "ignoredKeys": [', ['status']);
+        assert.equal(status, 1);
+        assert.match(stderr, /\.translation-sync\.json/);
+    });
+});
+
+describe('ignoredKeys in validate', () => {
+    const config = { ignoredKeys: ['fixture_vehicleFound'] };
+
+    it('fails without the setting: German lacks fixture_vehicleFound', () => {
+        const { status, stdout } = runWithConfig({}, ['validate']);
+        assert.equal(status, 1);
+        assert.match(stdout, /German\s+: 1 missing/);
+    });
+
+    it('gives the same verdict in text and JSON output', () => {
+        const text = runWithConfig(config, ['validate']);
+        const json = runWithConfig(config, ['validate', '--format', 'json']);
+
+        assert.equal(text.status, 0);
+        assert.match(text.stdout, /^OK:/);
+        assert.equal(json.status, 0);
+        assert.equal(JSON.parse(json.stdout).ok, true);
+    });
+});
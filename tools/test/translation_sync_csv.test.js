@@ -0,0 +1,67 @@
+/**
+ * Tests for export-csv / import-csv (spreadsheets) in translations/translation_sync.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+let dir;
+let csvFile;
+
+function importCsv(content) {
+    fs.writeFileSync(csvFile, content, 'utf8');
+    return runTool(['import-csv', csvFile, '--dir', dir]);
+}
+
+describe('export-csv / import-csv', () => {
+    beforeEach(() => {
+        dir = copyFixture();
+        runTool(['export-csv', '--dir', dir]);
+        csvFile = path.join(dir, 'csv', 'translation.csv');
+    });
+
+    afterEach(() => removeFixture(dir));
+
+    it('writes a row per key with a value and status column per language', () => {
+        const rows = fs.readFileSync(csvFile, 'utf8').replace(/^﻿/, '').trim().split(/\r?\n/);
+        assert.equal(rows[0], 'key,eh,en,ctx,max,de,de_status');
+        assert.deepEqual(rows.slice(1), [
+            'fixture_menuTitle,8469034e,Finance & Searches,,,Finanzen & Suche,ok',
+            'fixture_vehicleFound,bf9782f6,Your agent found a %s!,,,,missing',
+            'fixture_close,d3d2e617,Close,,,Schließen,stale'
+        ]);
+    });
+
+    it('round-trips quoted cells holding commas, quotes and line breaks', () => {
+        const csv = fs.readFileSync(csvFile, 'utf8')
+            .replace('Your agent found a %s!,,,,missing', 'Your agent found a %s!,,,"Dein ""Agent"", er fand\n%s!",missing');
+        const { status } = importCsv(csv);
+
+        assert.equal(status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Dein &quot;Agent&quot;, er fand\n%s!" eh="bf9782f6"/);
+    });
+
+    it('imports an unchanged stale cell only once its status is "ok"', () => {
+        const before = readFile(dir, 'translation_de.xml');
+        const csv = fs.readFileSync(csvFile, 'utf8');
+        importCsv(csv);
+        assert.equal(readFile(dir, 'translation_de.xml'), before);
+
+        importCsv(csv.replace('Schließen,stale', 'Schließen,ok'));
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_close" v="Schließen" eh="d3d2e617"/);
+    });
+
+    it('rejects a cell that drops a format specifier', () => {
+        const csv = fs.readFileSync(csvFile, 'utf8')
+            .replace('Your agent found a %s!,,,,missing', 'Your agent found a %s!,,,Fahrzeug gefunden!,missing');
+        const { status, stdout } = importCsv(csv);
+
+        assert.equal(status, 1);
+        assert.match(stdout, /fixture_vehicleFound/);
+        assert.doesNotMatch(readFile(dir, 'translation_de.xml'), /fixture_vehicleFound/);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for migrate-entities (translations/translation_sync.js)
+ *
+ * Before v3.11.0, "Finance &amp; Searches" was hashed as written (04f9c709)
+ * rather than as its text "Finance & Searches" (8469034e).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FIXTURE_DIR, copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+const LEGACY_ENGLISH = readFile(FIXTURE_DIR, 'translation_en.xml')
+    .replace('v="Finance &amp; Searches" eh="8469034e"', 'v="Finance &amp; Searches" eh="04f9c709"');
+
+// A translation of the legacy hash, and a placeholder escaped twice
+const LEGACY_GERMAN = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+        <e k="fixture_menuTitle" v="Finanzen &amp; Suche" eh="04f9c709" />
+        <e k="fixture_vehicleFound" v="[EN] Your agent found a %s!" eh="bf9782f6" />
+        <e k="fixture_close" v="[EN] Close &amp;amp; exit" eh="d3d2e617" />
+    </elements>
+</l10n>
+`;
+
+function copyLegacyFixture() {
+    return copyFixture({ 'translation_en.xml': LEGACY_ENGLISH, 'translation_de.xml': LEGACY_GERMAN });
+}
+
+describe('migrate-entities', () => {
+    it('changes nothing with --dry-run', () => {
+        const dir = copyLegacyFixture();
+        try {
+            const { status, stdout } = runTool(['migrate-entities', '--dry-run', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(stdout, /2 hash\(es\) would be rebased, 1 value\(s\) repaired/);
+            assert.equal(readFile(dir, 'translation_en.xml'), LEGACY_ENGLISH);
+            assert.equal(readFile(dir, 'translation_de.xml'), LEGACY_GERMAN);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('rebases legacy hashes and decodes values escaped twice', () => {
+        const dir = copyLegacyFixture();
+        try {
+            assert.equal(runTool(['migrate-entities', '--dir', dir]).status, 0);
+            assert.equal(readFile(dir, 'translation_en.xml'), readFile(FIXTURE_DIR, 'translation_en.xml'));
+            assert.equal(readFile(dir, 'translation_de.xml'), LEGACY_GERMAN
+                .replace('eh="04f9c709"', 'eh="8469034e"')
+                .replace('v="[EN] Close &amp;amp; exit"', 'v="[EN] Close &amp; exit"'));
+
+            assert.match(runTool(['migrate-entities', '--dir', dir]).stdout, /Nothing to migrate/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for the glossary check (translations/translation_sync.js)
+ *
+ * The fixture's German fixture_menuTitle renders "Finance & Searches" as
+ * "Finanzen & Suche".
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyFixture, removeFixture, runTool } = require('./helpers');
+
+/**
+ * Run glossary --format json with the given translation_glossary.json;
+ * returns { status, violations } for German
+ */
+function runGlossary(glossary) {
+    const dir = copyFixture({ 'translation_glossary.json': JSON.stringify(glossary) });
+    try {
+        const { status, stdout } = runTool(['glossary', '--format', 'json', '--dir', dir]);
+        const german = JSON.parse(stdout).languages.find(lang => lang.code === 'de');
+        return { status, violations: german.glossaryViolations };
+    } finally {
+        removeFixture(dir);
+    }
+}
+
+describe('glossary', () => {
+    it('accepts a translation containing the required rendering, also for a plural', () => {
+        const { status, violations } = runGlossary({ terms: { Search: { de: 'Suche' } } });
+        assert.equal(status, 0);
+        assert.deepEqual(violations, []);
+    });
+
+    it('reports a term missing its rendering, for the language or for "*"', () => {
+        for (const term of [{ de: 'Geld' }, { '*': 'Geld' }]) {
+            const { status, violations } = runGlossary({ terms: { Finance: term } });
+            assert.equal(status, 1);
+            assert.deepEqual(violations.map(v => [v.key, v.term, v.expected]), [['fixture_menuTitle', 'Finance', ['Geld']]]);
+        }
+    });
+
+    it('limits a term to the keys it lists', () => {
+        const { status, violations } = runGlossary({ terms: { Finance: { keys: ['fixture_close*'], de: 'Geld' } } });
+        assert.equal(status, 0);
+        assert.deepEqual(violations, []);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for export-json / apply-json (untranslated dumps) in translations/translation_sync.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+let dir;
+let jsonFile;
+
+function applyJson(entries) {
+    fs.writeFileSync(jsonFile, JSON.stringify(entries, null, 2), 'utf8');
+    return runTool(['apply-json', jsonFile, '--lang', 'de', '--dir', dir]);
+}
+
+describe('export-json / apply-json', () => {
+    beforeEach(() => {
+        dir = copyFixture();
+        runTool(['export-json', '--lang', 'de', '--dir', dir]);
+        jsonFile = path.join(dir, 'untranslated_german.json');
+    });
+
+    afterEach(() => removeFixture(dir));
+
+    it('dumps the untranslated entries with their English text and hash', () => {
+        assert.deepEqual(JSON.parse(fs.readFileSync(jsonFile, 'utf8')), [
+            { key: 'fixture_vehicleFound', english: 'Your agent found a %s!', hash: 'bf9782f6' }
+        ]);
+    });
+
+    it('round-trips a translation, escaping it once in the language file', () => {
+        const entries = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+        entries[0].translation = 'Agent & Co. fand <%s>!';
+        const { status } = applyJson(entries);
+
+        assert.equal(status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Agent &amp; Co\. fand &lt;%s&gt;!" eh="bf9782f6"/);
+    });
+
+    it('refuses entries whose English changed since the export', () => {
+        const { status, stdout } = applyJson([
+            { key: 'fixture_vehicleFound', english: 'Your agent found %s', hash: '00000000', translation: 'Agent fand %s' }
+        ]);
+
+        assert.equal(status, 1);
+        assert.match(stdout, /fixture_vehicleFound/);
+        assert.doesNotMatch(readFile(dir, 'translation_de.xml'), /fixture_vehicleFound/);
+    });
+});
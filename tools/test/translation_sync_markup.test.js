@@ -0,0 +1,89 @@
+/**
+ * Tests for the markup checks (translations/translation_sync.js): line
+ * breaks, %% escapes, $l10n_ references, paired delimiters and trailing
+ * punctuation, compared with English.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+/**
+ * A language file holding [key, value] entries (values as written in XML)
+ */
+function languageFile(entries) {
+    const lines = entries.map(([key, value]) => `        <e k="${key}" v="${value}" />`);
+    return `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+${lines.join('\n')}
+    </elements>
+</l10n>
+`;
+}
+
+const ENGLISH = languageFile([
+    ['fixture_lines', 'First line\\nSecond line'],
+    ['fixture_progress', 'Progress: %d%%'],
+    ['fixture_tax', 'Tax 5%%'],
+    ['fixture_beta', 'Open (beta)'],
+    ['fixture_name', 'Name:'],
+    ['fixture_ref', 'See $l10n_fixture_name'],
+    ['fixture_fine', 'Fine']
+]);
+
+const GERMAN = languageFile([
+    ['fixture_lines', 'Erste Zeile Zweite Zeile'],
+    ['fixture_progress', 'Fortschritt: %d%'],
+    ['fixture_tax', 'Steuer 5%%'],
+    ['fixture_beta', 'Offen (beta'],
+    ['fixture_name', 'Name'],
+    ['fixture_ref', 'Siehe oben'],
+    ['fixture_fine', 'Gut']
+]);
+
+describe('markup checks', () => {
+    it('reports each problem with its type and severity', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': GERMAN });
+        try {
+            runTool(['sync', '--dir', dir]);
+            const { stdout } = runTool(['check', '--format', 'json', '--dir', dir]);
+            const german = JSON.parse(stdout).languages.find(lang => lang.code === 'de');
+
+            assert.deepEqual(german.markupIssues.map(issue => [issue.key, issue.type, issue.severity]), [
+                ['fixture_lines', 'newline', 'warning'],
+                ['fixture_progress', 'percent-bare', 'error'],
+                ['fixture_beta', 'pairing', 'warning'],
+                ['fixture_name', 'punctuation', 'note'],
+                ['fixture_ref', 'l10n-ref', 'error']
+            ]);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('blocks imports on errors only', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': languageFile([]) });
+        try {
+            runTool(['sync', '--dir', dir]);
+            const english = readFile(dir, 'translation_en.xml');
+            const hash = key => english.match(new RegExp(`k="${key}" v="[^"]*" eh="([0-9a-f]{8})"`))[1];
+            const dump = path.join(dir, 'de.json');
+            fs.writeFileSync(dump, JSON.stringify([
+                { key: 'fixture_beta', hash: hash('fixture_beta'), translation: 'Offen (beta' },
+                { key: 'fixture_ref', hash: hash('fixture_ref'), translation: 'Siehe oben' }
+            ]), 'utf8');
+
+            const { status, stdout } = runTool(['apply-json', dump, '--lang', 'de', '--dir', dir]);
+            assert.equal(status, 1);
+            assert.match(stdout, /1 applied, 0 skipped, 1 rejected/);
+            assert.match(stdout, /fixture_ref: .*\$l10n_fixture_name/);
+            assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_beta" v="Offen \(beta"/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
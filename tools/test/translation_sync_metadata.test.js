@@ -0,0 +1,75 @@
+/**
+ * Tests for ctx, max and nt entry metadata (translations/translation_sync.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+const ENGLISH = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+        <e k="fixture_close" v="Close" eh="d3d2e617" ctx="Dialog button" max="6" />
+        <e k="fixture_brand" v="UsedPlus" eh="08a6afe0" nt="1" />
+    </elements>
+</l10n>
+`;
+
+const EMPTY_GERMAN = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+    </elements>
+</l10n>
+`;
+
+describe('entry metadata', () => {
+    it('lets sync copy nt entries without the "[EN] " prefix', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': EMPTY_GERMAN });
+        try {
+            runTool(['sync', '--dir', dir]);
+            const german = readFile(dir, 'translation_de.xml');
+            assert.match(german, /k="fixture_brand" v="UsedPlus" eh="08a6afe0"/);
+            assert.match(german, /k="fixture_close" v="\[EN\] Close"/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('fails check when a translation exceeds max or changes an nt entry', () => {
+        const german = EMPTY_GERMAN.replace('    </elements>', `        <e k="fixture_close" v="Schließen" eh="d3d2e617" />
+        <e k="fixture_brand" v="GebrauchtPlus" eh="08a6afe0" />
+    </elements>`);
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': german });
+        try {
+            const { status, stdout } = runTool(['check', '--format', 'json', '--dir', dir]);
+            const language = JSON.parse(stdout).languages.find(lang => lang.code === 'de');
+
+            assert.equal(status, 1);
+            assert.deepEqual(language.lengthViolations.map(v => [v.key, v.length, v.max]), [['fixture_close', 9, 6]]);
+            assert.deepEqual(language.doNotTranslate.map(v => v.key), ['fixture_brand']);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('exports ctx for translators, leaves nt entries out and rejects imports over max', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': EMPTY_GERMAN });
+        try {
+            runTool(['export-csv', '--dir', dir]);
+            const csv = readFile(dir, path.join('csv', 'translation.csv'));
+            assert.match(csv, /fixture_close,d3d2e617,Close,Dialog button,6,/);
+            assert.doesNotMatch(csv, /fixture_brand/);
+
+            const dump = path.join(dir, 'de.json');
+            fs.writeFileSync(dump, JSON.stringify([{ key: 'fixture_close', hash: 'd3d2e617', translation: 'Schließen' }]), 'utf8');
+            const { status, stdout } = runTool(['apply-json', dump, '--lang', 'de', '--dir', dir]);
+            assert.equal(status, 1);
+            assert.match(stdout, /0 applied, 0 skipped, 1 rejected/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the normalize command (translations/translation_sync.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+const ENGLISH = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<!-- English -->
+<l10n>
+    <elements>
+        <!-- Menu -->
+        <e k="fixture_menuTitle" v="Finance &amp; Searches" eh="8469034e" />
+
+        <!-- Dialogs -->
+        <e k="fixture_vehicleFound" v="Your agent found a %s!" eh="bf9782f6" />
+        <e k="fixture_close" v="Close" eh="d3d2e617" />
+    </elements>
+</l10n>
+`;
+
+// Out of order, its own comments and indentation, and a key English lacks
+const GERMAN = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<!-- Deutsch -->
+<l10n>
+    <elements>
+        <!-- alte Notiz -->
+\t<e k="fixture_close" v="Schließen" eh="d3d2e617" mt="1"/>
+        <e k="fixture_old" v="Alt" eh="12345678" />
+        <e k="fixture_menuTitle" v="Finanzen &amp; Suche" eh="8469034e" />
+    </elements>
+</l10n>
+`;
+
+describe('normalize', () => {
+    it('changes nothing with --dry-run', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': GERMAN });
+        try {
+            const { status, stdout } = runTool(['normalize', '--dry-run', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(stdout, /German\s+: would rewrite - 1 entry moved, 1 missing/);
+            assert.equal(readFile(dir, 'translation_de.xml'), GERMAN);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('rebuilds the file on the English layout, entries copied as written and orphans last', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': GERMAN });
+        try {
+            assert.equal(runTool(['normalize', '--dir', dir]).status, 0);
+            assert.equal(readFile(dir, 'translation_de.xml'), `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<!-- Deutsch -->
+<l10n>
+    <elements>
+        <!-- Menu -->
+        <e k="fixture_menuTitle" v="Finanzen &amp; Suche" eh="8469034e" />
+
+        <!-- Dialogs -->
+        <e k="fixture_close" v="Schließen" eh="d3d2e617" mt="1"/>
+        <e k="fixture_old" v="Alt" eh="12345678" />
+    </elements>
+</l10n>
+`);
+
+            assert.match(runTool(['normalize', '--dir', dir]).stdout, /German\s+: ✓ already matches English/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('skips a file with unreadable lines', () => {
+        const german = GERMAN.replace('v="Alt"', 'v="Alt');
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': german });
+        try {
+            assert.equal(runTool(['normalize', '--dir', dir]).status, 1);
+            assert.equal(readFile(dir, 'translation_de.xml'), german);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
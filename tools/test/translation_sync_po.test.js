@@ -0,0 +1,66 @@
+/**
+ * Tests for export-po / import-po (gettext) in translations/translation_sync.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+let dir;
+let poFile;
+
+function importPo(content) {
+    fs.writeFileSync(poFile, content, 'utf8');
+    return runTool(['import-po', poFile, '--dir', dir]);
+}
+
+describe('export-po / import-po', () => {
+    beforeEach(() => {
+        dir = copyFixture();
+        runTool(['export-po', '--dir', dir]);
+        poFile = path.join(dir, 'po', 'translation_de.po');
+    });
+
+    afterEach(() => removeFixture(dir));
+
+    it('writes a template and a PO file with keys as msgctxt and stale entries fuzzy', () => {
+        assert.ok(fs.existsSync(path.join(dir, 'po', 'translation.pot')));
+        const po = fs.readFileSync(poFile, 'utf8');
+        assert.match(po, /#\. eh=bf9782f6\n#, c-format\nmsgctxt "fixture_vehicleFound"\nmsgid "Your agent found a %s!"\nmsgstr ""/);
+        assert.match(po, /#, fuzzy\nmsgctxt "fixture_close"\nmsgid "Close"\nmsgstr "Schließen"/);
+        assert.match(po, /msgid "Finance & Searches"/);
+    });
+
+    it('round-trips a translation with escapes, continuation lines and XML entities', () => {
+        const po = fs.readFileSync(poFile, 'utf8')
+            .replace('msgid "Your agent found a %s!"\nmsgstr ""', 'msgid "Your agent found a %s!"\nmsgstr ""\n"Dein \\"Agent\\" & Co. "\n"fand %s!"');
+        const { status } = importPo(po);
+
+        assert.equal(status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Dein &quot;Agent&quot; &amp; Co\. fand %s!" eh="bf9782f6"/);
+    });
+
+    it('skips fuzzy entries until the flag is removed', () => {
+        const before = readFile(dir, 'translation_de.xml');
+        const po = fs.readFileSync(poFile, 'utf8');
+        importPo(po);
+        assert.equal(readFile(dir, 'translation_de.xml'), before);
+
+        importPo(po.replace('#, fuzzy\n', ''));
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_close" v="Schließen" eh="d3d2e617"/);
+    });
+
+    it('rejects a translation that drops a format specifier', () => {
+        const before = readFile(dir, 'translation_de.xml');
+        const po = fs.readFileSync(poFile, 'utf8')
+            .replace('msgid "Your agent found a %s!"\nmsgstr ""', 'msgid "Your agent found a %s!"\nmsgstr "Fahrzeug gefunden!"');
+        const { status, stdout } = importPo(po);
+
+        assert.equal(status, 1);
+        assert.match(stdout, /fixture_vehicleFound/);
+        assert.equal(readFile(dir, 'translation_de.xml'), before);
+    });
+});
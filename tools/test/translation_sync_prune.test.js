@@ -0,0 +1,59 @@
+/**
+ * Tests for the prune command (translations/translation_sync.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+// fixture_old is not in English; fixture_close appears twice, the second
+// time with the current English hash
+const GERMAN = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+        <e k="fixture_menuTitle" v="Finanzen &amp; Suche" eh="8469034e" />
+        <e k="fixture_old" v="Alt" eh="12345678" />
+        <e k="fixture_close" v="Schließen" eh="d3d2e617" />
+        <e k="fixture_close" v="Zumachen" eh="a8b1352e" />
+    </elements>
+</l10n>
+`;
+
+describe('prune', () => {
+    it('changes nothing with --dry-run', () => {
+        const dir = copyFixture({ 'translation_de.xml': GERMAN });
+        try {
+            const { status, stdout } = runTool(['prune', '--dry-run', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(stdout, /fixture_old/);
+            assert.equal(readFile(dir, 'translation_de.xml'), GERMAN);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('deletes orphaned keys and keeps the duplicate matching English', () => {
+        const dir = copyFixture({ 'translation_de.xml': GERMAN });
+        try {
+            assert.equal(runTool(['prune', '--dir', dir]).status, 0);
+            assert.equal(readFile(dir, 'translation_de.xml'), GERMAN
+                .replace('        <e k="fixture_old" v="Alt" eh="12345678" />\n', '')
+                .replace('        <e k="fixture_close" v="Zumachen" eh="a8b1352e" />\n', ''));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('keeps the last duplicate when none matches English', () => {
+        const dir = copyFixture({ 'translation_de.xml': GERMAN.replace('v="Schließen" eh="d3d2e617"', 'v="Schließen" eh="a8b1352e"') });
+        try {
+            runTool(['prune', '--dir', dir]);
+            const german = readFile(dir, 'translation_de.xml');
+            assert.doesNotMatch(german, /v="Schließen"/);
+            assert.match(german, /k="fixture_close" v="Zumachen"/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
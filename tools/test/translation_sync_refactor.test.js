@@ -0,0 +1,98 @@
+/**
+ * Tests for rename-key, rename-prefix and delete-key (translations/translation_sync.js)
+ *
+ * The fixture mod's src/FixtureMod.lua uses fixture_menuTitle and
+ * fixture_vehicleFound, but not fixture_close.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { FIXTURE_DIR, copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+const LUA_FILE = path.join('..', 'src', 'FixtureMod.lua');
+
+/**
+ * Snapshot of the files a key refactoring may touch
+ */
+function readMod(dir) {
+    return [readFile(dir, 'translation_en.xml'), readFile(dir, 'translation_de.xml'), readFile(dir, LUA_FILE)];
+}
+
+describe('rename-key', () => {
+    it('renames the key in every language file and in the mod code, values and hashes kept', () => {
+        const dir = copyFixture();
+        try {
+            const { status } = runTool(['rename-key', 'fixture_menuTitle', 'fixture_menuHeading', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.deepEqual(readMod(dir), readMod(FIXTURE_DIR).map(content => content.replaceAll('fixture_menuTitle', 'fixture_menuHeading')));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('changes nothing with --dry-run', () => {
+        const dir = copyFixture();
+        try {
+            const { status, stdout } = runTool(['rename-key', 'fixture_menuTitle', 'fixture_menuHeading', '--dry-run', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(stdout, /src\/FixtureMod\.lua:5 {2}fixture_menuTitle → fixture_menuHeading/);
+            assert.deepEqual(readMod(dir), readMod(FIXTURE_DIR));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('refuses a new key that already exists', () => {
+        const dir = copyFixture();
+        try {
+            const { status, stderr } = runTool(['rename-key', 'fixture_close', 'fixture_vehicleFound', '--dir', dir]);
+            assert.equal(status, 1);
+            assert.match(stderr, /Already in translation_en\.xml: fixture_vehicleFound/);
+            assert.deepEqual(readMod(dir), readMod(FIXTURE_DIR));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
+
+describe('rename-prefix', () => {
+    it('renames every key with the prefix', () => {
+        const dir = copyFixture();
+        try {
+            assert.equal(runTool(['rename-prefix', 'fixture_', 'sample_', '--dir', dir]).status, 0);
+            assert.deepEqual(readMod(dir), readMod(FIXTURE_DIR).map(content => content.replaceAll('"fixture_', '"sample_')));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
+
+describe('delete-key', () => {
+    it('deletes a key no code uses from every language file', () => {
+        const dir = copyFixture();
+        try {
+            assert.equal(runTool(['delete-key', 'fixture_close', '--dir', dir]).status, 0);
+            assert.doesNotMatch(readFile(dir, 'translation_en.xml'), /fixture_close/);
+            assert.doesNotMatch(readFile(dir, 'translation_de.xml'), /fixture_close/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('refuses a key the mod code still uses, unless --force is given', () => {
+        const dir = copyFixture();
+        try {
+            const { status, stdout } = runTool(['delete-key', 'fixture_vehicleFound', '--dir', dir]);
+            assert.equal(status, 1);
+            assert.match(stdout, /! src\/FixtureMod\.lua:9 {2}fixture_vehicleFound/);
+            assert.deepEqual(readMod(dir), readMod(FIXTURE_DIR));
+
+            runTool(['delete-key', 'fixture_vehicleFound', '--force', '--dir', dir]);
+            assert.doesNotMatch(readFile(dir, 'translation_en.xml'), /fixture_vehicleFound/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
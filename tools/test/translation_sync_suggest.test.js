@@ -0,0 +1,53 @@
+/**
+ * Tests for the suggest command (translations/translation_sync.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+// fixture_cancel shares its English text ("Close") with fixture_close
+const ENGLISH = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+        <e k="fixture_close" v="Close" eh="d3d2e617" />
+        <e k="fixture_cancel" v="Close" eh="d3d2e617" />
+    </elements>
+</l10n>
+`;
+
+function germanWith(closeAttrs) {
+    return `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+        <e k="fixture_close" v="Schließen" ${closeAttrs} />
+    </elements>
+</l10n>
+`;
+}
+
+describe('suggest', () => {
+    it('reuses the translation of a key with the same English text', () => {
+        const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': germanWith('eh="d3d2e617"') });
+        try {
+            const { status } = runTool(['suggest', '--lang', 'de', '--apply', '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_cancel" v="Schließen" eh="d3d2e617"/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('does not reuse stale or unreviewed machine translations', () => {
+        for (const attrs of ['eh="a8b1352e"', 'eh="d3d2e617" mt="1"']) {
+            const dir = copyFixture({ 'translation_en.xml': ENGLISH, 'translation_de.xml': germanWith(attrs) });
+            try {
+                const { stdout } = runTool(['suggest', '--lang', 'de', '--dir', dir]);
+                assert.match(stdout, /German\s+: no suggestions/, attrs);
+            } finally {
+                removeFixture(dir);
+            }
+        }
+    });
+});
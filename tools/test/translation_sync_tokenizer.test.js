@@ -0,0 +1,70 @@
+/**
+ * Tests for reading and editing language files through the XML tokenizer
+ * (translations/translation_sync.js): edits touch only the entries they
+ * change, whatever the file's quoting, attribute order and layout.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseTranslationFile } = require('../../translations/translation_sync');
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+// Single quotes, v= before k=, a tag across two lines, tabs, a comment and
+// an entry with an unterminated value
+const GERMAN = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <!-- Menu -->
+    <elements>
+        <e v='Finanzen &amp; Suche'   k='fixture_menuTitle' eh='8469034e'/>
+\t<e k="fixture_close"
+\t   v="Schließen" eh="a8b1352e" />
+        <e k="fixture_broken" v="kaputt />
+    </elements>
+</l10n>
+`;
+
+describe('parseTranslationFile', () => {
+    it('reads any attribute order and quote style, and reports unparseable entries by line', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'translation-sync-')), 'translation_de.xml');
+        try {
+            fs.writeFileSync(file, GERMAN, 'utf8');
+            const { entries, errors } = parseTranslationFile(file, 'elements');
+
+            assert.equal(entries.get('fixture_menuTitle').value, 'Finanzen & Suche');
+            assert.equal(entries.get('fixture_close').hash, 'a8b1352e');
+            assert.equal(entries.has('fixture_broken'), false);
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].line, 8);
+        } finally {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        }
+    });
+});
+
+describe('in-place edits', () => {
+    it('inserts a missing entry without touching the rest of the file', () => {
+        const dir = copyFixture({ 'translation_de.xml': GERMAN });
+        try {
+            runTool(['sync', '--dir', dir]);
+            assert.equal(readFile(dir, 'translation_de.xml'), GERMAN.replace(
+                "eh='8469034e'/>\n",
+                "eh='8469034e'/>\n        <e k=\"fixture_vehicleFound\" v=\"[EN] Your agent found a %s!\" eh=\"bf9782f6\" />\n"));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('rewrites only the value and hash of an updated entry', () => {
+        const dir = copyFixture({ 'translation_de.xml': GERMAN, 'de.json': JSON.stringify([{ key: 'fixture_close', hash: 'd3d2e617', translation: 'Zu & fertig' }]) });
+        try {
+            runTool(['apply-json', path.join(dir, 'de.json'), '--lang', 'de', '--dir', dir]);
+            assert.equal(readFile(dir, 'translation_de.xml'), GERMAN.replace('v="Schließen" eh="a8b1352e"', 'v="Zu &amp; fertig" eh="d3d2e617"'));
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
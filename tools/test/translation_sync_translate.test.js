@@ -0,0 +1,91 @@
+/**
+ * Tests for the translate command (translations/translation_sync.js)
+ *
+ * A local HTTP server stands in for LibreTranslate.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const { copyFixture, removeFixture, runToolAsync, readFile } = require('./helpers');
+
+const EMPTY_LANGUAGE_FILE = `<?xml version="1.0" encoding="utf-8" standalone="no" ?>
+<l10n>
+    <elements>
+    </elements>
+</l10n>
+`;
+
+/**
+ * Start a mock LibreTranslate server that answers "<target>:<text>" and
+ * records each request body. Returns { url, requests, close }.
+ */
+async function startMockServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            requests.push(request);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ translatedText: request.q.map(text => `${request.target}:${text}`) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('translate --provider libretranslate', () => {
+    it('sends the registry-derived language codes and marks results mt="1"', async () => {
+        const dir = copyFixture({ 'translation_br.xml': EMPTY_LANGUAGE_FILE, 'translation_cz.xml': EMPTY_LANGUAGE_FILE });
+        const server = await startMockServer();
+        try {
+            const { status } = await runToolAsync(['translate', '--lang', 'br,cz', '--provider', 'libretranslate', '--url', server.url, '--dir', dir]);
+
+            assert.equal(status, 0);
+            assert.deepEqual(server.requests.map(request => [request.source, request.target]), [['en', 'pb'], ['en', 'cs']]);
+            assert.match(readFile(dir, 'translation_cz.xml'), /k="fixture_close" v="cs:Close" eh="d3d2e617" mt="1"/);
+        } finally {
+            await server.close();
+            removeFixture(dir);
+        }
+    });
+
+    it('keeps format specifiers out of the provider\'s reach', async () => {
+        const dir = copyFixture({ 'translation_cz.xml': EMPTY_LANGUAGE_FILE });
+        const server = await startMockServer();
+        try {
+            await runToolAsync(['translate', '--lang', 'cz', '--provider', 'libretranslate', '--url', server.url, '--dir', dir]);
+
+            assert.ok(server.requests[0].q.includes('Your agent found a {{0}}!'));
+            assert.match(readFile(dir, 'translation_cz.xml'), /v="cs:Your agent found a %s!"/);
+        } finally {
+            await server.close();
+            removeFixture(dir);
+        }
+    });
+});
+
+describe('translate --provider dictionary', () => {
+    it('fills only the entries the dictionary knows, without writing on --dry-run', async () => {
+        const dir = copyFixture({ 'terms.json': JSON.stringify({ de: { 'Your agent found a %s!': 'Dein Agent hat %s gefunden!' } }) });
+        try {
+            const before = readFile(dir, 'translation_de.xml');
+            await runToolAsync(['translate', '--lang', 'de', '--provider', 'dictionary', '--dict', path.join(dir, 'terms.json'), '--dry-run', '--dir', dir]);
+            assert.equal(readFile(dir, 'translation_de.xml'), before);
+
+            const { status } = await runToolAsync(['translate', '--lang', 'de', '--provider', 'dictionary', '--dict', path.join(dir, 'terms.json'), '--dir', dir]);
+            assert.equal(status, 0);
+            assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Dein Agent hat %s gefunden!" eh="bf9782f6" mt="1"/);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
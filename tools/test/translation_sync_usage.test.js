@@ -0,0 +1,59 @@
+/**
+ * Tests for the usage command and key patterns (translations/translation_sync.js)
+ *
+ * The fixture mod's src/FixtureMod.lua uses every English key but
+ * fixture_close.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FIXTURE_DIR, copyFixture, removeFixture, runTool } = require('./helpers');
+
+function runUsage(dir) {
+    const { status, stdout } = runTool(['usage', '--format', 'json', '--dir', dir]);
+    return { status, report: JSON.parse(stdout) };
+}
+
+describe('usage', () => {
+    it('lists English keys the mod code never references', () => {
+        const { status, report } = runUsage(FIXTURE_DIR);
+        assert.equal(status, 0);
+        assert.equal(report.keyPrefix, 'fixture_');
+        assert.deepEqual(report.missing, []);
+        assert.deepEqual(report.unused.map(entry => entry.key), ['fixture_close']);
+    });
+
+    it('counts keys covered by a configured dynamic key pattern as used', () => {
+        const dir = copyFixture({ '.translation-sync.json': JSON.stringify({ dynamicKeyPatterns: ['fixture_clo*'] }) });
+        try {
+            const { report } = runUsage(dir);
+            assert.deepEqual(report.unused, []);
+            assert.deepEqual(report.patterns.map(p => [p.pattern, p.keys]), [['fixture_clo*', ['fixture_close']]]);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+
+    it('lets * in a key pattern match no text at all', () => {
+        const dir = copyFixture({ '.translation-sync.json': JSON.stringify({ dynamicKeyPatterns: ['fixture_close*'] }) });
+        try {
+            assert.deepEqual(runUsage(dir).report.unused, []);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
+
+describe('ignoredKeys', () => {
+    it('skips keys matching a pattern whose * matches no text', () => {
+        const dir = copyFixture({ '.translation-sync.json': JSON.stringify({ ignoredKeys: ['fixture_close*'] }) });
+        try {
+            const { stdout } = runTool(['status', '--format', 'json', '--dir', dir]);
+            const german = JSON.parse(stdout).languages.find(lang => lang.code === 'de');
+            assert.deepEqual(german.stale, []);
+        } finally {
+            removeFixture(dir);
+        }
+    });
+});
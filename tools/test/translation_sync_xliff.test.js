@@ -0,0 +1,96 @@
+/**
+ * Tests for export / import (XLIFF 2.0) in translations/translation_sync.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { copyFixture, removeFixture, runTool, readFile } = require('./helpers');
+
+let dir;
+let xliffFile;
+
+/**
+ * Replace the exported target of one unit and mark it translated
+ */
+function translateUnit(xliff, key, target) {
+    const unitStart = xliff.indexOf(`<unit id="${key}">`);
+    const unitEnd = xliff.indexOf('</unit>', unitStart);
+    const unit = xliff.substring(unitStart, unitEnd)
+        .replace('state="initial"', 'state="translated"')
+        .replace(/<target>[\s\S]*?<\/target>/, `<target>${target}</target>`);
+    return xliff.substring(0, unitStart) + unit + xliff.substring(unitEnd);
+}
+
+function importXliff(content) {
+    fs.writeFileSync(xliffFile, content, 'utf8');
+    return runTool(['import', xliffFile, '--dir', dir]);
+}
+
+describe('export / import', () => {
+    beforeEach(() => {
+        dir = copyFixture();
+        runTool(['export', '--dir', dir]);
+        xliffFile = path.join(dir, 'xliff', 'translation_de.xlf');
+    });
+
+    afterEach(() => removeFixture(dir));
+
+    it('exports missing and stale entries with the English hash', () => {
+        const xliff = fs.readFileSync(xliffFile, 'utf8');
+        assert.match(xliff, /trgLang="de"/);
+        assert.match(xliff, /<unit id="fixture_vehicleFound">[\s\S]*?<note category="eh">bf9782f6<\/note>[\s\S]*?<target><\/target>/);
+        assert.match(xliff, /<unit id="fixture_close">[\s\S]*?<note category="status">stale<\/note>[\s\S]*?<target>Schließen<\/target>/);
+        assert.doesNotMatch(xliff, /fixture_menuTitle/);
+    });
+
+    it('round-trips a translated unit, escaping it once in the language file', () => {
+        const xliff = translateUnit(fs.readFileSync(xliffFile, 'utf8'), 'fixture_vehicleFound', 'Agent &amp; Co. fand %s!');
+        const { status } = importXliff(xliff);
+
+        assert.equal(status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Agent &amp; Co\. fand %s!" eh="bf9782f6"/);
+    });
+
+    it('leaves units alone that are still "initial" with the exported target', () => {
+        const before = readFile(dir, 'translation_de.xml');
+        importXliff(fs.readFileSync(xliffFile, 'utf8'));
+        assert.equal(readFile(dir, 'translation_de.xml'), before);
+    });
+
+    it('reads single-quoted attributes, CDATA and several segments', () => {
+        const xliff = fs.readFileSync(xliffFile, 'utf8')
+            .replace('<unit id="fixture_close">', "<unit id='fixture_close'>")
+            .replace('<segment state="initial">\n        <source>Close</source>\n        <target>Schließen</target>\n      </segment>',
+                "<segment state='reviewed'><source>Close</source><target><![CDATA[Schlie]]></target></segment>" +
+                "<segment state='final'><source></source><target>ßen &lt;x&gt;</target></segment>");
+        const { status } = importXliff(xliff);
+
+        assert.equal(status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_close" v="Schließen &lt;x&gt;" eh="d3d2e617"/);
+    });
+
+    it('rejects inline markup in a target instead of importing it as text', () => {
+        const before = readFile(dir, 'translation_de.xml');
+        const xliff = translateUnit(fs.readFileSync(xliffFile, 'utf8'), 'fixture_vehicleFound', 'Agent fand <ph id="1" disp="%s"/>!');
+        const { status, stdout } = importXliff(xliff);
+
+        assert.equal(status, 1);
+        assert.match(stdout, /fixture_vehicleFound: inline <ph> markup in <target>/);
+        assert.equal(readFile(dir, 'translation_de.xml'), before);
+    });
+
+    it('reads <cp hex="..."/> as the character it stands for', () => {
+        const xliff = translateUnit(fs.readFileSync(xliffFile, 'utf8'), 'fixture_vehicleFound', 'Agent fand<cp hex="0009"/>%s!');
+        assert.equal(importXliff(xliff).status, 0);
+        assert.match(readFile(dir, 'translation_de.xml'), /k="fixture_vehicleFound" v="Agent fand\t%s!"/);
+    });
+
+    it('fails with the line of malformed XML', () => {
+        const { status, stderr } = importXliff('<xliff trgLang="de"><unit id="fixture_close>\n</xliff>');
+        assert.equal(status, 1);
+        assert.match(stderr, /translation_de\.xlf: line 1: /);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * FS25 LANGUAGE REGISTRY
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every language Farming Simulator 25 loads a translation_<code>.xml for,
+ * shared by translation_sync.js and tools/courseplay_translation_helper.js.
+ *
+ * FS25 CODES ARE NOT ISO 639-1:
+ *   cs = Chinese (Simplified)   - ISO "cs" is Czech!
+ *   cz = Czech
+ *   ct = Chinese (Traditional)
+ *   jp = Japanese, kr = Korean  - ISO "ja", "ko"
+ *   br = Portuguese (Brazil), ea = Spanish (Latin America), fc = French (Canada)
+ *
+ * A file named translation_cs.xml is always read as Chinese. ISO codes that
+ * don't collide with an FS25 code (ja, ko, zh, tw) resolve through
+ * LANGUAGE_ALIASES; "cs" never does, so Czech must be translation_cz.xml.
+ *
+ * Each entry records:
+ *   name   - Display name (short enough for the status table)
+ *   iso    - BCP 47 tag; machine translation derives provider codes from it
+ *   script - Writing system; anything but 'Latin' means Latin text in that
+ *            file is English left in place
+ *
+ * Author: FS25_UsedPlus Team
+ * License: MIT - Free to use, modify, and distribute in any mod
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+const LANGUAGES = {
+    en: { name: 'English', iso: 'en', script: 'Latin' },
+    de: { name: 'German', iso: 'de', script: 'Latin' },
+    fr: { name: 'French', iso: 'fr', script: 'Latin' },
+    fc: { name: 'French (Canada)', iso: 'fr-CA', script: 'Latin' },
+    es: { name: 'Spanish', iso: 'es', script: 'Latin' },
+    ea: { name: 'Spanish (LatAm)', iso: 'es-419', script: 'Latin' },
+    it: { name: 'Italian', iso: 'it', script: 'Latin' },
+    pt: { name: 'Portuguese (PT)', iso: 'pt-PT', script: 'Latin' },
+    br: { name: 'Portuguese (BR)', iso: 'pt-BR', script: 'Latin' },
+    nl: { name: 'Dutch', iso: 'nl', script: 'Latin' },
+    da: { name: 'Danish', iso: 'da', script: 'Latin' },
+    sv: { name: 'Swedish', iso: 'sv', script: 'Latin' },
+    no: { name: 'Norwegian', iso: 'nb', script: 'Latin' },
+    fi: { name: 'Finnish', iso: 'fi', script: 'Latin' },
+    hu: { name: 'Hungarian', iso: 'hu', script: 'Latin' },
+    ro: { name: 'Romanian', iso: 'ro', script: 'Latin' },
+    tr: { name: 'Turkish', iso: 'tr', script: 'Latin' },
+    pl: { name: 'Polish', iso: 'pl', script: 'Latin' },
+    cz: { name: 'Czech', iso: 'cs', script: 'Latin' },
+    id: { name: 'Indonesian', iso: 'id', script: 'Latin' },
+    vi: { name: 'Vietnamese', iso: 'vi', script: 'Latin' },
+    ru: { name: 'Russian', iso: 'ru', script: 'Cyrillic' },
+    uk: { name: 'Ukrainian', iso: 'uk', script: 'Cyrillic' },
+    jp: { name: 'Japanese', iso: 'ja', script: 'Japanese' },
+    kr: { name: 'Korean', iso: 'ko', script: 'Hangul' },
+    cs: { name: 'Chinese (Simpl.)', iso: 'zh-Hans', script: 'Han' },
+    ct: { name: 'Chinese (Trad.)', iso: 'zh-Hant', script: 'Han' }
+};
+
+// ISO codes some mods use for their files, mapped to the FS25 code.
+// "cs" is deliberately missing: in FS25 it is Chinese, not Czech.
+const LANGUAGE_ALIASES = {
+    ja: 'jp',
+    ko: 'kr',
+    zh: 'cs',
+    tw: 'ct'
+};
+
+/**
+ * Look up a language by FS25 code or alias (any case).
+ * Returns { code, name, iso, script } with the FS25 code, or null for a
+ * code FS25 doesn't know.
+ */
+function getLanguage(code) {
+    const lower = String(code).toLowerCase();
+    const fsCode = LANGUAGES[lower] ? lower : LANGUAGE_ALIASES[lower];
+    return fsCode ? { code: fsCode, ...LANGUAGES[fsCode] } : null;
+}
+
+module.exports = { LANGUAGES, LANGUAGE_ALIASES, getLanguage };
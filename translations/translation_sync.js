@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * ══════════════════════════════════════════════════════════════════════════════
- * UNIVERSAL TRANSLATION SYNC TOOL v3.2.1
+ * UNIVERSAL TRANSLATION SYNC TOOL v3.27.0
  * For Farming Simulator 25 Mods
  * ══════════════════════════════════════════════════════════════════════════════
  *
@@ -20,9 +20,12 @@
  * QUICK START:
  *   cd translations/
  *   node translation_sync.js sync      # Sync all languages
+ *   node translation_sync.js sync --diff  # Preview changes as a unified diff
  *   node translation_sync.js status    # Quick overview
  *   node translation_sync.js report    # Detailed breakdown
  *   node translation_sync.js help      # Full documentation
+ *   node translation_sync.js check --format sarif > translations.sarif
+ *   node translation_sync.js check --dir ../../OtherMod/translations --dir .
  *
  * HOW HASH-BASED SYNC WORKS:
  *   Every entry has an embedded hash (eh) of its English source text:
@@ -41,27 +44,80 @@
  *   status    - Quick table: translated/stale/missing per language
  *   report    - Detailed lists of problem keys by language
  *   check     - Report issues, exit code 1 if MISSING keys exist
- *   validate  - CI-friendly: minimal output, exit codes only
+ *   validate  - CI-friendly: OK/FAIL and the failing languages, exit code
+ *   prune     - Delete orphaned keys and collapse duplicates (--dry-run)
+ *   migrate-entities - Rebase pre-3.11 hashes, repair double-escaped values
+ *   normalize - Rewrite language files in English order and sections (--dry-run, --diff)
+ *   suggest   - Reuse translations of identical English text (--apply)
+ *   translate - Machine-translate missing/[EN] entries (--lang, --provider)
+ *   glossary  - Flag translations that don't use the glossary's term renderings
+ *   gui       - Flag translations estimated to overflow their GUI text element
+ *   usage     - Cross-reference keys with src/, gui/, vehicles/, modDesc.xml
+ *   rename-key / rename-prefix / delete-key - Refactor keys in every file (--dry-run)
+ *   explain   - Show which rule accepted or flagged each value as untranslated
+ *   watch     - Re-run sync or check whenever English (or any file) is saved
+ *   export    - Write XLIFF 2.0 files with entries that need translation
+ *   import    - Merge a translated XLIFF file back into its language file
+ *   export-po - Write a POT template and one gettext PO file per language
+ *   import-po - Merge an edited PO file back into its language file
+ *   export-csv - Write a spreadsheet with every key and language
+ *   import-csv - Merge edited spreadsheet cells back into language files
+ *   export-json - Dump untranslated entries as key/english/hash JSON
+ *   apply-json  - Write translations from such a JSON dump
  *   help      - Show full help with all options
  *
  * WHAT IT DETECTS:
  *   ✓ Missing keys     - Key in English but not in target language
  *   ~ Stale entries    - Hash mismatch (English changed since translation)
- *   ? Untranslated     - Has "[EN] " prefix or exact match (excluding cognates)
+ *   ? Untranslated     - "[EN] " prefix, identical to English (per-language rules),
+ *                        or Latin text in a jp/kr/cs/ct/ru/uk file
  *   !! Duplicates      - Same key appears twice in file (data corruption!)
- *   x Orphaned         - Key in target but NOT in English (safe to delete)
+ *   x Orphaned         - Key in target but NOT in English (prune deletes)
  *   💥 Format errors   - Wrong format specifiers (%s, %d, %.1f) - WILL CRASH GAME!
  *   ⚠ Empty values    - Translation is empty string
  *   ⚠ Whitespace      - Leading/trailing spaces in translation
+ *   ✖ ! · Markup       - \n count, $l10n_ refs, %%, brackets/quotes, trailing :/...
+ *   ⚠ Unparseable     - Broken markup, reported with its line number
  *
  *   NOTE: Cognates and international terms (Type, Status, Generator, OK, etc.)
  *         are automatically recognized and NOT flagged as untranslated.
+ *         The word list lives in translation_glossary.json next to this file.
  *
  * SUPPORTED XML FORMATS (auto-detected):
  *   <e k="key" v="value" eh="hash"/>   (elements pattern - used by UsedPlus)
  *   <text name="key" text="value"/>     (texts pattern - no hash support)
+ *   Attributes may come in any order, in single or double quotes. Edits are
+ *   made in place, so comments, indentation, attribute order and unknown
+ *   attributes survive. English entries may carry ctx="", max="" and nt="1".
  *
  * VERSION HISTORY:
+ *   v3.27.0 - rename-key, rename-prefix, delete-key across all languages, Lua and GUI XML
+ *   v3.26.0 - normalize: rewrite language files in English key order with its section comments
+ *   v3.25.0 - Shared language registry (translation_languages.js): all FS25 codes, cs is Chinese
+ *   v3.24.0 - --dir (repeatable) for other/several translation folders; require() API
+ *   v3.23.0 - report shows the English a stale entry was translated from, with a word diff
+ *   v3.22.0 - watch: re-run sync (or check) on save, print only what changed
+ *   v3.21.0 - Per-language untranslated rules (non-Latin script check), explain command
+ *   v3.20.0 - English entry metadata: ctx (exported), max and nt (enforced by check)
+ *   v3.19.0 - Per-project settings from .translation-sync.json (ignoredKeys, failOn, ...)
+ *   v3.18.0 - usage: dynamic key patterns inferred from "prefix_" .. x or configured
+ *   v3.17.0 - Added usage command: keys missing from English, English keys never used
+ *   v3.16.0 - Added gui command: estimated text overflow per language from gui/*.xml sizes
+ *   v3.15.0 - Markup checks (\n, $l10n_, %%, delimiters, trailing :/...) with severities
+ *   v3.14.0 - Added glossary check; cognate list moved to translation_glossary.json
+ *   v3.13.0 - Added translate: machine translation providers, mt="1" marker
+ *   v3.12.0 - Added suggest: translation memory from identical English text
+ *   v3.11.0 - Values decoded on read/encoded on write (no more "&amp;amp;"),
+ *             hashes over plain text; migrate-entities repairs old files
+ *   v3.10.0 - XML tokenizer: any attribute order/quotes, lossless in-place edits,
+ *             unparseable entries reported by line instead of dropped
+ *   v3.9.0 - Added --format json|sarif for status, check, report, validate
+ *   v3.8.0 - Added sync --dry-run/--diff; sync skips unchanged files
+ *   v3.7.0 - Added prune command for orphaned and duplicate keys
+ *   v3.6.0 - Added untranslated JSON export/apply (replaces one-off dumps)
+ *   v3.5.0 - Added CSV spreadsheet export/import
+ *   v3.4.0 - Added gettext PO/POT export/import (Weblate, Poedit)
+ *   v3.3.0 - Added XLIFF 2.0 export/import for CAT tools
  *   v3.2.2 - Added cognate detection (no false positives for international terms)
  *   v3.2.1 - Fixed format specifier regex (no false positives on "40% success")
  *   v3.2.0 - Added format specifier validation, empty/whitespace detection
@@ -73,10 +129,14 @@
  * ══════════════════════════════════════════════════════════════════════════════
  */
 
-const VERSION = '3.2.2';
+const VERSION = '3.27.0';
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { execFileSync } = require('child_process');
+const { LANGUAGES, LANGUAGE_ALIASES, getLanguage } = require('./translation_languages');
 
 // ══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -94,46 +154,58 @@ const CONFIG = {
 
     // XML format: 'auto', 'texts', or 'elements'
     xmlFormat: 'auto',
+
+    // Glossary: cognates plus required term renderings (optional file)
+    glossaryFile: 'translation_glossary.json',
+
+    // English text behind each eh= hash, written by sync, so report can
+    // show what changed for stale entries
+    snapshotFile: 'translation_snapshots.json',
+
+    // GUI layouts checked for text overflow (relative to the translations directory)
+    guiDir: '../gui',
+
+    // Mod root scanned for key references (usage command)
+    modRoot: '..',
+
+    // Keys built at runtime that the usage command can't infer from
+    // "prefix_" .. name concatenations; * matches any text
+    // e.g. ['usedplus_tier_*_name', 'usedplus_setting_*']
+    dynamicKeyPatterns: [],
+
+    // Keys every check and report skips (* matches any text)
+    ignoredKeys: [],
+
+    // Keys or English texts that may stay identical to English, per
+    // language code ('*' = all languages), on top of the glossary cognates
+    // e.g. { de: ['Service', 'usedplus_dash_trend'] }
+    identicalAllowed: {},
+
+    // Issue types that make 'check' fail (field names of the JSON output)
+    failOn: ['missing', 'duplicates', 'orphaned', 'parseErrors', 'lengthViolations', 'doNotTranslate'],
 };
 
+// Per-project overrides for CONFIG (and languageNames for LANGUAGE_NAMES),
+// read from this file in the translations directory
+const PROJECT_CONFIG_FILE = '.translation-sync.json';
+
 // ══════════════════════════════════════════════════════════════════════════════
 // LANGUAGE NAME MAPPINGS
 // ══════════════════════════════════════════════════════════════════════════════
 
-const LANGUAGE_NAMES = {
-    en: 'English',
-    de: 'German',
-    fr: 'French',
-    es: 'Spanish',
-    it: 'Italian',
-    pl: 'Polish',
-    ru: 'Russian',
-    br: 'Portuguese (BR)',
-    pt: 'Portuguese (PT)',
-    cz: 'Czech',
-    cs: 'Czech',
-    uk: 'Ukrainian',
-    nl: 'Dutch',
-    da: 'Danish',
-    sv: 'Swedish',
-    no: 'Norwegian',
-    fi: 'Finnish',
-    hu: 'Hungarian',
-    ro: 'Romanian',
-    tr: 'Turkish',
-    ja: 'Japanese',
-    jp: 'Japanese',
-    ko: 'Korean',
-    zh: 'Chinese (Simplified)',
-    tw: 'Chinese (Traditional)',
-};
+// Display names come from the shared registry (translation_languages.js),
+// which also maps ISO codes like ja/ko/zh/tw. FS25 "cs" is Chinese - Czech is "cz".
+const LANGUAGE_NAMES = Object.fromEntries([
+    ...Object.entries(LANGUAGES).map(([code, language]) => [code, language.name]),
+    ...Object.entries(LANGUAGE_ALIASES).map(([alias, code]) => [alias, LANGUAGES[code].name])
+]);
 
 // ══════════════════════════════════════════════════════════════════════════════
 // END OF CONFIGURATION
 // ══════════════════════════════════════════════════════════════════════════════
 
-// Change to script directory
-process.chdir(__dirname);
+// Paths given on the command line are relative to where the tool was run from
+const invocationDir = process.cwd();
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Utility Functions
@@ -156,10 +228,244 @@ function escapeXml(str) {
         .replace(/"/g, '&quot;');
 }
 
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function unescapeXml(str) {
+    // Single pass, so "&amp;lt;" decodes to the text "&lt;", never to "<"
+    return str.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return XML_ENTITIES[entity.toLowerCase()] || match;
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+        return String.fromCodePoint(code);
+    });
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Project Configuration (.translation-sync.json)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Issue lists a check can fail on (see analyzeLanguage)
+const ISSUE_TYPES = ['missing', 'stale', 'untranslated', 'duplicates', 'orphaned', 'formatErrors', 'emptyValues',
+    'whitespaceIssues', 'markupIssues', 'parseErrors', 'glossaryViolations', 'machineTranslated',
+    'lengthViolations', 'doNotTranslate'];
+
+/**
+ * Merge PROJECT_CONFIG_FILE into CONFIG and LANGUAGE_NAMES, if it exists.
+ * Unknown settings and wrong value types are fatal, so a typo can't
+ * silently fall back to the defaults.
+ */
+function loadProjectConfig() {
+    if (!fs.existsSync(PROJECT_CONFIG_FILE)) return;
+
+    const fail = (message) => {
+        throw new Error(`${PROJECT_CONFIG_FILE}: ${message}`);
+    };
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(PROJECT_CONFIG_FILE, 'utf8'));
+    } catch (err) {
+        fail(err.message);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        fail('expected a JSON object');
+    }
+
+    // typeof, except that null and arrays are told apart from objects
+    const typeOf = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+    const isStringArray = value => typeOf(value) === 'array' && value.every(item => typeof item === 'string');
+
+    for (const [name, value] of Object.entries(data)) {
+        if (name === 'languageNames') {
+            if (typeOf(value) !== 'object' || !Object.values(value).every(langName => typeof langName === 'string')) {
+                fail('"languageNames" must be an object of code: name');
+            }
+            for (const [code, langName] of Object.entries(value)) {
+                LANGUAGE_NAMES[code.toLowerCase()] = langName;
+            }
+            continue;
+        }
+        if (!(name in CONFIG)) {
+            fail(`unknown setting "${name}" (expected one of: ${[...Object.keys(CONFIG), 'languageNames'].join(', ')})`);
+        }
+        const expected = typeOf(CONFIG[name]);
+        if (typeOf(value) !== expected) {
+            fail(`"${name}" must be ${expected === 'array' ? 'an array' : expected === 'object' ? 'an object' : `a ${expected}`}`);
+        }
+        if (expected === 'array' && !isStringArray(value)) {
+            fail(`"${name}" must be an array of strings`);
+        }
+        if (name === 'identicalAllowed') {
+            for (const [langCode, entries] of Object.entries(value)) {
+                if (!isStringArray(entries)) fail(`"identicalAllowed.${langCode}" must be an array of strings`);
+            }
+        }
+        CONFIG[name] = value;
+    }
+
+    const unknownTypes = CONFIG.failOn.filter(type => !ISSUE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+        fail(`unknown failOn type(s) ${unknownTypes.join(', ')} (expected: ${ISSUE_TYPES.join(', ')})`);
+    }
+}
+
+let ignoredKeyRegexes = null;
+
+/**
+ * Is a key excluded from checks by CONFIG.ignoredKeys?
+ */
+function isIgnoredKey(key) {
+    if (!ignoredKeyRegexes) ignoredKeyRegexes = CONFIG.ignoredKeys.map(keyPatternToRegex);
+    return ignoredKeyRegexes.some(regex => regex.test(key));
+}
+
+/**
+ * May this entry stay identical to English in this language?
+ * CONFIG.identicalAllowed lists keys (with * wildcards) or English texts
+ * (any case) per language code, and under '*' for all languages.
+ */
+function isIdenticalAllowed(langCode, key, sourceValue) {
+    const allowed = [...(CONFIG.identicalAllowed[langCode] || []), ...(CONFIG.identicalAllowed['*'] || [])];
+    const lowerValue = sourceValue.toLowerCase().trim();
+    return allowed.some(entry => entry.toLowerCase().trim() === lowerValue || keyPatternToRegex(entry).test(key));
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Translations Directory (v3.24.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Built-in settings, restored before each directory's project config applies
+const DEFAULT_CONFIG = JSON.parse(JSON.stringify(CONFIG));
+const DEFAULT_LANGUAGE_NAMES = { ...LANGUAGE_NAMES };
+
+/**
+ * Make dir the translations directory. Every path the tool uses is relative
+ * to it, so this changes the working directory, then resets CONFIG,
+ * LANGUAGE_NAMES and the file caches and applies dir's project config.
+ * Throws if the directory or its config is unusable.
+ */
+function useDirectory(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Directory not found: ${dir}`);
+    }
+    process.chdir(dir);
+
+    Object.assign(CONFIG, JSON.parse(JSON.stringify(DEFAULT_CONFIG)));
+    for (const code of Object.keys(LANGUAGE_NAMES)) delete LANGUAGE_NAMES[code];
+    Object.assign(LANGUAGE_NAMES, DEFAULT_LANGUAGE_NAMES);
+    ignoredKeyRegexes = null;
+    glossaryCache = null;
+    snapshotCache = null;
+
+    loadProjectConfig();
+}
+
+/**
+ * Everything useDirectory() changes: the working directory, CONFIG,
+ * LANGUAGE_NAMES and the file caches. restoreDirectoryState() puts it back.
+ */
+function saveDirectoryState() {
+    return {
+        cwd: process.cwd(),
+        config: JSON.parse(JSON.stringify(CONFIG)),
+        languageNames: { ...LANGUAGE_NAMES },
+        ignoredKeyRegexes,
+        glossaryCache,
+        snapshotCache
+    };
+}
+
+function restoreDirectoryState(state) {
+    process.chdir(state.cwd);
+    for (const name of Object.keys(CONFIG)) delete CONFIG[name];
+    Object.assign(CONFIG, state.config);
+    for (const code of Object.keys(LANGUAGE_NAMES)) delete LANGUAGE_NAMES[code];
+    Object.assign(LANGUAGE_NAMES, state.languageNames);
+    ({ ignoredKeyRegexes, glossaryCache, snapshotCache } = state);
+}
+
+/**
+ * Library entry point: sync one translations directory (default: the one
+ * this file is in) without printing, and return syncDirectory()'s results.
+ * options: { dir, dryRun, diff }. The working directory, settings and
+ * caches are restored after, so calls don't affect the caller or each other.
+ */
+function sync(options = {}) {
+    const state = saveDirectoryState();
+    try {
+        useDirectory(options.dir ? path.resolve(options.dir) : __dirname);
+        return syncDirectory(options);
+    } finally {
+        restoreDirectoryState(state);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Command-Line Options
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Options that take a value (--lang de), as opposed to plain flags (--dry-run)
+const VALUE_OPTIONS = ['lang', 'out', 'format', 'provider', 'url', 'api-key', 'dict', 'gui', 'root', 'dir'];
+
+/**
+ * Get the value of a --name option, or null if not given
+ */
+function getOption(name) {
+    const args = process.argv.slice(3);
+    const index = args.indexOf(`--${name}`);
+    if (index === -1 || index + 1 >= args.length) return null;
+    return args[index + 1];
+}
+
+/**
+ * Get every value of a repeatable --name option, in order
+ */
+function getOptionValues(name) {
+    const args = process.argv.slice(3);
+    const values = [];
+    for (let i = 0; i < args.length - 1; i++) {
+        if (args[i] === `--${name}`) values.push(args[++i]);
+    }
+    return values;
+}
+
+/**
+ * Check whether a --name flag was given
+ */
+function hasFlag(name) {
+    return process.argv.slice(3).includes(`--${name}`);
+}
+
+/**
+ * Resolve a user-supplied path against the directory the tool was run from
+ */
+function resolveUserPath(userPath) {
+    return path.resolve(invocationDir, userPath);
+}
+
+/**
+ * Get arguments after the command that are not options or option values
+ */
+function getPositionalArgs() {
+    const args = process.argv.slice(3);
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            if (VALUE_OPTIONS.includes(args[i].substring(2))) i++;
+            continue;
+        }
+        positional.push(args[i]);
+    }
+
+    return positional;
+}
+
 // ──────────────────────────────────────────────────────────────────────────────
 // Validation Functions (v3.2.0)
 // ──────────────────────────────────────────────────────────────────────────────
 
+const FORMAT_SPECIFIER_PATTERN = /%[-+0#]*(\d+)?(\.\d+)?(hh?|ll?|L|z|j|t)?[diouxXeEfFgGaAcspn]/g;
+
 /**
  * Extract format specifiers from a string
  * Matches: %s, %d, %i, %f, %.1f, %.2f, %ld, etc.
@@ -181,8 +487,7 @@ function extractFormatSpecifiers(str) {
     // IMPORTANT: %% is an escape sequence that produces a literal %, NOT a format specifier.
     // We don't include % in the final character class because %% doesn't need to match
     // between source and target - both "50%" and "50%%" display the same thing.
-    const pattern = /%[-+0#]*(\d+)?(\.\d+)?(hh?|ll?|L|z|j|t)?[diouxXeEfFgGaAcspn]/g;
-    const matches = str.match(pattern) || [];
+    const matches = str.match(FORMAT_SPECIFIER_PATTERN) || [];
     return matches.sort();
 }
 
@@ -199,6 +504,7 @@ function checkFormatSpecifiers(sourceValue, targetValue, key) {
         return {
             key,
             type: 'count',
+            severity: 'error',
             source: sourceSpecs,
             target: targetSpecs,
             message: `Expected ${sourceSpecs.length} format specifier(s), found ${targetSpecs.length}`
@@ -211,6 +517,7 @@ function checkFormatSpecifiers(sourceValue, targetValue, key) {
             return {
                 key,
                 type: 'mismatch',
+                severity: 'error',
                 source: sourceSpecs,
                 target: targetSpecs,
                 message: `Format specifier mismatch: expected "${sourceSpecs[i]}", found "${targetSpecs[i]}"`
@@ -254,85 +561,240 @@ function hasWhitespaceIssues(value) {
     return value !== value.trim();
 }
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Markup Validation (v3.15.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Severity per markup check: error = broken in game, warning = renders badly,
+// note = probably intended but worth a look
+const MARKUP_SEVERITY = {
+    'l10n-ref': 'error',
+    'percent-bare': 'error',
+    'percent-escape': 'warning',
+    'newline': 'warning',
+    'pairing': 'warning',
+    'punctuation': 'note'
+};
+
+const L10N_REF_PATTERN = /\$l10n_[A-Za-z0-9_.]+/g;
+const PERCENT_TOKEN_PATTERN = new RegExp(`%%|${FORMAT_SPECIFIER_PATTERN.source}|%`, 'g');
+const BRACKET_PAIRS = { ')': '(', ']': '[', '}': '{', '»': '«' };
+const ELLIPSIS_PATTERN = /(\.\.\.|…)$/;
+const COLON_PATTERN = /[:：]$/;
+
+/**
+ * Count line breaks, written either as a literal \n (what the game expands)
+ * or as a real newline from an &#10; entity
+ */
+function countLineBreaks(value) {
+    return (value.match(/\\n|\n/g) || []).length;
+}
+
 /**
- * Check if a value is likely a cognate or international term
- * These are values that are legitimately the same in multiple languages:
- * - Proper names (Jim, Pete, Chuck, Joe)
- * - Technical terms (Generator, Starter, OBD, ECU, CAN)
- * - Common cognates (Type, Total, Status, Agent, Normal, OK)
- * - Universal symbols (#, $, @)
- * - Single-letter or very short terms
- * - Gaming terms (Hardcore, Mode, Info, Debug)
+ * Split the % signs of a value into escapes (%%), specifiers and bare %
  */
-function isCognateOrInternationalTerm(value) {
-    // Empty strings are intentional placeholders, not untranslated
-    if (value === '') return true;
-    if (!value) return false;
+function countPercentTokens(value) {
+    const counts = { escapes: 0, specifiers: 0, bare: 0 };
+    for (const token of value.match(PERCENT_TOKEN_PATTERN) || []) {
+        if (token === '%%') counts.escapes++;
+        else if (token === '%') counts.bare++;
+        else counts.specifiers++;
+    }
+    return counts;
+}
 
-    // If it's too long, it's probably not a cognate (arbitrary threshold: 50 chars)
-    // Long identical sentences are suspicious
-    if (value.length > 50) return false;
+/**
+ * Find the first unbalanced bracket or unpaired straight double quote.
+ * Returns the offending character, or null when everything pairs up.
+ */
+function findUnpairedDelimiter(value) {
+    const open = Object.values(BRACKET_PAIRS);
+    const stack = [];
+    for (const char of value) {
+        if (open.includes(char)) {
+            stack.push(char);
+        } else if (BRACKET_PAIRS[char]) {
+            if (stack.pop() !== BRACKET_PAIRS[char]) return char;
+        }
+    }
+    if (stack.length > 0) return stack[stack.length - 1];
+    if ((value.match(/"/g) || []).length % 2 !== 0) return '"';
+    return null;
+}
 
-    // Check if value matches common patterns of cognates/international terms
+/**
+ * Compare the markup of a translation with its English source: line breaks,
+ * $l10n_ references, %% escapes, paired delimiters and trailing punctuation.
+ * Returns [{ key, type, severity, message }], empty when nothing differs.
+ */
+function checkMarkup(sourceValue, targetValue, key) {
+    const issues = [];
+    const add = (type, message) => issues.push({ key, type, severity: MARKUP_SEVERITY[type], message });
 
-    // 1. Very short (1-3 characters) - likely symbols or abbreviations
-    if (value.length <= 3) return true;
+    const sourceBreaks = countLineBreaks(sourceValue);
+    const targetBreaks = countLineBreaks(targetValue);
+    if (sourceBreaks !== targetBreaks) {
+        add('newline', `Expected ${sourceBreaks} line break(s) (\\n), found ${targetBreaks}`);
+    }
 
-    // 2. Contains only symbols, numbers, and punctuation
-    if (/^[#$@%&*()[\]{}\-+:,.\/\d\s]+$/.test(value)) return true;
+    const sourceRefs = sourceValue.match(L10N_REF_PATTERN) || [];
+    const targetRefs = targetValue.match(L10N_REF_PATTERN) || [];
+    const lostRefs = sourceRefs.filter(ref => !targetRefs.includes(ref));
+    const extraRefs = targetRefs.filter(ref => !sourceRefs.includes(ref));
+    if (lostRefs.length > 0) {
+        add('l10n-ref', `Missing reference ${lostRefs.join(', ')}`);
+    }
+    if (extraRefs.length > 0) {
+        add('l10n-ref', `Unknown reference ${extraRefs.join(', ')} (not in English)`);
+    }
 
-    // 3. Proper names (starts with "- " for mechanic names, or single capitalized word)
-    if (/^-\s+[A-Z][a-z]+$/.test(value)) return true;  // "- Jim", "- Pete"
+    // Values passed through string.format need %% for a literal percent;
+    // plain labels show %% as-is
+    const sourcePercent = countPercentTokens(sourceValue);
+    const targetPercent = countPercentTokens(targetValue);
+    const sourceIsFormatted = sourcePercent.specifiers > 0 || sourcePercent.escapes > 0;
+    if (sourceIsFormatted && targetPercent.bare > 0) {
+        add('percent-bare', `Bare "%" in a formatted string - write "%%" (English has ${sourcePercent.escapes} "%%")`);
+    } else if (!sourceIsFormatted && targetPercent.escapes > 0) {
+        add('percent-escape', '"%%" in an unformatted string shows both signs - write "%"');
+    }
 
-    // 4. Common single-word cognates and technical terms (case-insensitive)
-    const commonCognates = [
-        'type', 'total', 'status', 'agent', 'normal', 'ok', 'info', 'mode',
-        'generator', 'starter', 'min', 'max', 'per', 'vs', 'hardcore',
-        'obd', 'ecu', 'can', 'dtc', 'debug', 'regional', 'national',
-        'original', 'score', 'principal', 'ha', 'pcs', 'elite', 'premium',
-        'standard', 'budget', 'basic', 'advanced', 'pro', 'master',
-        'leasing', 'spawning', 'repo', 'state', 'misfire', 'overheat',
-        'runaway', 'cutout', 'workhorse', 'integration', 'vanilla'
-    ];
-    const lowerValue = value.toLowerCase().trim();
-    if (commonCognates.includes(lowerValue)) return true;
-
-    // 5. Common multi-word international phrases and technical terms
-    const commonPhrases = [
-        'regional agent', 'national agent', 'local agent',
-        'no', 'yes', 'si', 'ja',  // yes/no in various languages
-        'obd scanner', 'service truck', 'spawn lemon', 'toggle debug',
-        'reset cd'
-    ];
-    if (commonPhrases.includes(lowerValue)) return true;
+    const targetUnpaired = findUnpairedDelimiter(targetValue);
+    if (targetUnpaired && !findUnpairedDelimiter(sourceValue)) {
+        add('pairing', `Unpaired ${targetUnpaired} (English is balanced)`);
+    }
 
-    // 6. Phrases with "vs" (comparisons)
-    if (/^vs\s+/i.test(value)) return true;
+    const sourceEnd = sourceValue.trimEnd();
+    const targetEnd = targetValue.trimEnd();
+    if (ELLIPSIS_PATTERN.test(sourceEnd) && !ELLIPSIS_PATTERN.test(targetEnd)) {
+        add('punctuation', 'English ends with an ellipsis, translation does not');
+    } else if (COLON_PATTERN.test(sourceEnd) && !COLON_PATTERN.test(targetEnd)) {
+        add('punctuation', 'English ends with a colon, translation does not');
+    }
+
+    return issues;
+}
+
+const SEVERITY_ORDER = ['error', 'warning', 'note'];
+const SEVERITY_ICONS = { error: '✖', warning: '!', note: '·' };
+
+function sortBySeverity(issues) {
+    return [...issues].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+let glossaryCache = null;
+
+/**
+ * Load the glossary file (CONFIG.glossaryFile) once:
+ * { cognates: Set of lowercase strings, terms: { term: { langCode|'*': rendering(s), keys? } } }.
+ * A missing file means no cognate list and no term rules.
+ */
+function loadGlossary() {
+    if (glossaryCache) return glossaryCache;
+
+    let data = {};
+    if (fs.existsSync(CONFIG.glossaryFile)) {
+        try {
+            data = JSON.parse(fs.readFileSync(CONFIG.glossaryFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`${CONFIG.glossaryFile}: ${err.message}`);
+        }
+    }
+
+    glossaryCache = {
+        cognates: new Set((data.cognates || []).map(term => term.toLowerCase().trim())),
+        terms: data.terms || {}
+    };
+    return glossaryCache;
+}
+
+/**
+ * The language's display name when it is written in a non-Latin script
+ * (per the language registry), otherwise null. A translation made of Latin
+ * words there is English left in place, even when it differs from English.
+ */
+function getNonLatinLanguage(langCode) {
+    const language = getLanguage(langCode);
+    return language && language.script !== 'Latin' ? language.name : null;
+}
+
+// Identical values longer than this are sentences, and sentences get translated
+const MAX_COGNATE_LENGTH = 50;
 
-    // 7. All caps labels (STATUS, INFO, TOTAL, etc.)
-    if (/^[A-Z\s:]+$/.test(value) && value.replace(/[:\s]/g, '').length >= 2) return true;
+/**
+ * Rules that accept a value identical to English as intentionally unchanged,
+ * first match wins. anyScript rules hold in every language (symbols, acronyms
+ * and model names stay in Latin letters); the rest only hold in languages
+ * written in Latin script, where words like "Status" or "Normal" are shared.
+ */
+const IDENTICAL_RULES = [
+    { id: 'empty', anyScript: true, description: 'empty placeholder', test: value => value === '' },
+    { id: 'format-only', anyScript: true, description: 'only format specifiers, units and punctuation', test: isFormatOnlyString },
+    { id: 'symbols', anyScript: true, description: 'only symbols and numbers', test: value => /^[#$@%&*()[\]{}\-+:,.\/\d\s]+$/.test(value) },
+    { id: 'money', anyScript: true, description: 'money amount ($10,000)', test: value => /^[+\-]?\$[\d,]+$/.test(value) || /^Set \$\d+$/.test(value) },
+    { id: 'acronym', anyScript: true, description: 'acronym (OBD, ECU, PTO)', test: value => /^[A-Z][A-Z0-9]{1,2}$/.test(value) },
+    { id: 'model-name', anyScript: true, description: 'brand and model number (GMC C7000, Ford F-150)', test: value => /^[A-Z][A-Za-z]*\s+[A-Z]*-?\d[A-Z0-9\-]*$/.test(value) },
+    { id: 'short', description: 'three characters or fewer', test: value => value.length <= 3 },
+    { id: 'mechanic-name', description: 'mechanic name ("- Jim")', test: value => /^-\s+[A-Z][a-z]+$/.test(value) },
+    { id: 'glossary-cognate', description: 'listed under "cognates" in the glossary', test: value => loadGlossary().cognates.has(value.toLowerCase().trim()) },
+    { id: 'comparison', description: 'comparison ("vs ...")', test: value => /^vs\s+/i.test(value) },
+    { id: 'caps-label', description: 'all-caps label (STATUS, INFO)', test: value => /^[A-Z\s:]+$/.test(value) && value.replace(/[:\s]/g, '').length >= 2 },
+    { id: 'colon-label', description: 'single-word label ("Status:")', test: value => /^[A-Za-z]+:\s*$/.test(value) },
+    { id: 'admin-label', description: 'admin shorthand (Rel:, Surge (L))', test: value => /^(Rel|Surge|Flat):/i.test(value) || /\(L\)$|\(R\)$/.test(value) },
+    { id: 'integration', description: 'mod integration name (RVB Integration)', test: value => /^[A-Z]{2,5}\s+Integration$/i.test(value) }
+];
 
-    // 8. Single word ending in colon (labels like "Status:", "Type:", "Agent:")
-    if (/^[A-Za-z]+:\s*$/.test(value)) return true;
+/**
+ * True when a value contains a Latin word (acronyms of up to three capitals
+ * don't count) and no letters from any other script
+ */
+function isLatinText(value) {
+    const words = value.replace(FORMAT_SPECIFIER_PATTERN, ' ').match(/\p{L}+/gu) || [];
+    return words.some(word => word.length >= 4 || (word.length >= 2 && /\p{Ll}/u.test(word)))
+        && words.every(word => /^\p{Script=Latin}+$/u.test(word));
+}
 
-    // 9. Money symbols with amounts ($10,000, +$100,000, etc.) or admin labels with $
-    if (/^[+\-]?\$[\d,]+$/.test(value) || /^Set \$\d+$/.test(value)) return true;
+/**
+ * Decide whether a value that has no [EN] prefix is still English.
+ * Returns { untranslated, rule, reason }: rule is the id of the deciding rule
+ * (an IDENTICAL_RULES id, 'nt', 'allowed', 'latin-script', 'long-identical',
+ * 'identical' or 'differs') and reason says it in words.
+ */
+function classifyTranslation(langCode, key, sourceData, value) {
+    const script = getNonLatinLanguage(langCode);
+    const verdict = (untranslated, rule, reason) => ({ untranslated, rule, reason });
+    const latinScript = () => verdict(true, 'latin-script', `Latin text in a ${script} translation`);
 
-    // 10. Admin labels with percentages or abbreviations (Rel: 100%, Surge (L), etc.)
-    if (/^(Rel|Surge|Flat):/i.test(value) || /\(L\)$|\(R\)$/.test(value)) return true;
+    if (sourceData.meta.nt) {
+        return verdict(false, 'nt', 'nt="1" on the English entry');
+    }
+    if (isIdenticalAllowed(langCode, key, sourceData.value)) {
+        return verdict(false, 'allowed', `identicalAllowed in ${PROJECT_CONFIG_FILE}`);
+    }
 
-    // 11. Mod integration names (RVB Integration, UYT Integration, etc.)
-    if (/^[A-Z]{2,5}\s+Integration$/i.test(value)) return true;
+    if (value !== sourceData.value) {
+        if (script && isLatinText(value) && !IDENTICAL_RULES.some(rule => rule.anyScript && rule.test(value))) {
+            return latinScript();
+        }
+        return verdict(false, 'differs', 'differs from English');
+    }
 
-    // 12. Vehicle model names with alphanumerics (GMC C7000, Ford F-150, etc.)
-    if (/^[A-Z]+\s+[A-Z0-9\-]+/i.test(value) && value.split(' ').length <= 4) return true;
+    const rule = IDENTICAL_RULES.find(r =>
+        (r.anyScript || !script) &&
+        (r.id === 'format-only' || value.length <= MAX_COGNATE_LENGTH) &&
+        r.test(value));
+    if (rule) return verdict(false, rule.id, rule.description);
 
-    return false;
+    if (script && isLatinText(value)) return latinScript();
+    if (value.length > MAX_COGNATE_LENGTH) {
+        return verdict(true, 'long-identical', `identical sentence over ${MAX_COGNATE_LENGTH} characters`);
+    }
+    return verdict(true, 'identical', 'identical to English, no rule accepts it');
 }
 
 /**
  * Validate a translation entry against its source
- * Returns array of issues found
+ * Returns array of issues found, each with a severity (error/warning/note)
  */
 function validateEntry(key, sourceValue, targetValue, skipUntranslated = true) {
     const issues = [];
@@ -344,7 +806,7 @@ function validateEntry(key, sourceValue, targetValue, skipUntranslated = true) {
 
     // Check for empty value
     if (isEmptyValue(targetValue)) {
-        issues.push({ key, type: 'empty', message: 'Empty translation value' });
+        issues.push({ key, type: 'empty', severity: 'warning', message: 'Empty translation value' });
     }
 
     // Check for whitespace issues
@@ -352,6 +814,7 @@ function validateEntry(key, sourceValue, targetValue, skipUntranslated = true) {
         issues.push({
             key,
             type: 'whitespace',
+            severity: 'warning',
             message: `Whitespace issue: "${targetValue.substring(0, 20)}..."`,
             value: targetValue
         });
@@ -363,9 +826,30 @@ function validateEntry(key, sourceValue, targetValue, skipUntranslated = true) {
         issues.push(formatIssue);
     }
 
+    // v3.15.0: Line breaks, $l10n_ references, %%, delimiters, trailing punctuation
+    issues.push(...checkMarkup(sourceValue, targetValue, key));
+
     return issues;
 }
 
+/**
+ * Check a translation against the English entry's max= and nt= metadata.
+ * "[EN] " placeholders are skipped. Returns an issue or null.
+ */
+function checkEntryMeta(key, sourceData, targetValue) {
+    const { max, nt } = sourceData.meta;
+    if (targetValue.startsWith(CONFIG.untranslatedPrefix)) return null;
+
+    if (nt && targetValue !== sourceData.value) {
+        return { key, type: 'nt', severity: 'error', message: 'Marked do-not-translate (nt) but differs from English' };
+    }
+    const length = [...targetValue].length;
+    if (max && length > max) {
+        return { key, type: 'max', severity: 'error', max, length, message: `${length} characters, max ${max}` };
+    }
+    return null;
+}
+
 function getEnabledLanguages() {
     const filePrefix = autoDetectFilePrefix();
     if (!filePrefix) return [];
@@ -412,8 +896,8 @@ function autoDetectFilePrefix() {
 function autoDetectXmlFormat(content) {
     if (CONFIG.xmlFormat !== 'auto') return CONFIG.xmlFormat;
 
-    if (content.includes('<e k="')) return 'elements';
-    if (content.includes('<text name="')) return 'texts';
+    if (/<e\s/.test(content)) return 'elements';
+    if (/<text\s/.test(content)) return 'texts';
 
     return null;
 }
@@ -427,863 +911,4624 @@ function getLangFilePath(filePrefix, langCode) {
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// XML Parsing
+// XML Tokenizer (v3.10.0)
 // ──────────────────────────────────────────────────────────────────────────────
 
-function parseTranslationFile(filepath, format) {
-    const content = fs.readFileSync(filepath, 'utf8');
-    const entries = new Map();
-    const orderedKeys = [];
-    const duplicates = [];
+const TAG_NAME_PATTERN = /<(\/?)([A-Za-z_:][\w:.-]*)/y;
+const ATTRIBUTE_PATTERN = /([^\s=/>"'<]+)\s*=\s*(["'])/y;
+const WHITESPACE_PATTERN = /\s*/y;
 
-    let pattern;
-    if (format === 'elements') {
-        // <e k="key" v="value" [eh="hash"] [tag="format"] /> - handles any attribute order
-        pattern = /<e k="([^"]+)" v="([^"]*)"([^>]*)\s*\/>/g;
-    } else {
-        // <text name="key" text="value"/>
-        pattern = /<text name="([^"]+)" text="([^"]*)"\s*\/>/g;
+/**
+ * Read one start/end tag at content[start] === '<'.
+ * Returns { closing, name, attrs, selfClosing, end } or { error, end } where
+ * end is where scanning should resume (the next '<' after a malformed tag).
+ */
+function readTag(content, start) {
+    const recoverAt = () => {
+        const next = content.indexOf('<', start + 1);
+        return next === -1 ? content.length : next;
+    };
+
+    TAG_NAME_PATTERN.lastIndex = start;
+    const nameMatch = TAG_NAME_PATTERN.exec(content);
+    if (!nameMatch) {
+        return { error: 'Stray "<" (not a tag)', end: recoverAt() };
     }
 
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-        const key = match[1];
-        const value = match[2];
-        // Extract hash from remaining attributes (handles tag="format" eh="hash" in any order)
-        const attrs = match[3] || '';
-        const hashMatch = attrs.match(/eh="([^"]*)"/);
-        const hash = hashMatch ? hashMatch[1] : null;
+    const closing = nameMatch[1] === '/';
+    const name = nameMatch[2];
+    const attrs = [];
+    let pos = TAG_NAME_PATTERN.lastIndex;
 
-        // Track duplicates
-        if (entries.has(key)) {
-            duplicates.push(key);
+    // Name the tag by its first attribute (usually the key) in error messages
+    const label = () => attrs.length > 0 ? `<${name} ${attrs[0].name}="${attrs[0].value}">` : `<${name}>`;
+
+    while (true) {
+        const attrStart = pos;
+        WHITESPACE_PATTERN.lastIndex = pos;
+        WHITESPACE_PATTERN.exec(content);
+        pos = WHITESPACE_PATTERN.lastIndex;
+
+        if (pos >= content.length) {
+            return { error: `Unterminated ${label()} tag`, end: content.length };
+        }
+        if (!closing && content.startsWith('/>', pos)) {
+            return { closing, name, attrs, selfClosing: true, end: pos + 2 };
+        }
+        if (content[pos] === '>') {
+            return { closing, name, attrs, selfClosing: false, end: pos + 1 };
+        }
+        if (closing) {
+            return { error: `Unexpected content in </${name}> tag`, end: recoverAt() };
         }
 
-        entries.set(key, { value, hash });
-        orderedKeys.push(key);
-    }
+        ATTRIBUTE_PATTERN.lastIndex = pos;
+        const attrMatch = ATTRIBUTE_PATTERN.exec(content);
+        if (!attrMatch) {
+            return { error: `Malformed attribute in ${label()} tag`, end: recoverAt() };
+        }
 
-    return { entries, orderedKeys, duplicates, rawContent: content };
-}
+        const quote = attrMatch[2];
+        const valueStart = ATTRIBUTE_PATTERN.lastIndex;
+        const valueEnd = content.indexOf(quote, valueStart);
+        const nextTag = content.indexOf('<', valueStart);
 
-function formatEntry(key, value, hash, format) {
-    const escapedValue = escapeXml(value);
-    if (format === 'elements') {
-        return `<e k="${key}" v="${escapedValue}" eh="${hash}" />`;
-    } else {
-        return `<text name="${key}" text="${escapedValue}"/>`;
+        // A "<" before the closing quote almost always means the quote is missing
+        if (valueEnd === -1 || (nextTag !== -1 && nextTag < valueEnd)) {
+            return { error: `Unterminated ${attrMatch[1]}= value (missing quote or unescaped "<") in ${label()} tag`, end: recoverAt() };
+        }
+
+        attrs.push({
+            start: attrStart,
+            name: attrMatch[1],
+            value: content.substring(valueStart, valueEnd),
+            quote,
+            valueStart,
+            valueEnd
+        });
+        pos = valueEnd + 1;
     }
 }
 
-function findInsertPosition(content, key, enOrderedKeys, langKeys, format) {
-    const enIndex = enOrderedKeys.indexOf(key);
+/**
+ * Split XML into tokens that cover the input exactly: every character
+ * belongs to one token, so files can be edited in place without disturbing
+ * comments, indentation or attribute order.
+ *
+ * Token types: text, comment, pi, cdata, doctype, open, close, selfclose.
+ * Tag tokens carry name and attrs [{ start, name, value, quote, valueStart,
+ * valueEnd }] with values as written (still entity-escaped); start includes
+ * the whitespace before the attribute. Malformed markup becomes a
+ * text token plus an entry in errors [{ line, message }].
+ */
+function tokenizeXml(content) {
+    const tokens = [];
+    const errors = [];
+    let pos = 0;
+    let line = 1;
+
+    const push = (token) => {
+        token.line = line;
+        tokens.push(token);
+        for (let i = token.start; i < token.end; i++) {
+            if (content.charCodeAt(i) === 10) line++;
+        }
+        pos = token.end;
+    };
+
+    const pushDelimited = (type, open, close) => {
+        const closeIndex = content.indexOf(close, pos + open.length);
+        if (closeIndex === -1) {
+            errors.push({ line, message: `Unterminated ${type} (missing "${close}")` });
+            push({ type: 'text', start: pos, end: content.length });
+        } else {
+            push({ type, start: pos, end: closeIndex + close.length });
+        }
+    };
 
-    // Look for the nearest preceding key that exists in this language
-    for (let i = enIndex - 1; i >= 0; i--) {
-        const prevKey = enOrderedKeys[i];
-        if (langKeys.has(prevKey)) {
-            let pattern;
-            if (format === 'elements') {
-                pattern = new RegExp(`<e k="${escapeRegex(prevKey)}" v="[^"]*"(?:\\s+eh="[^"]*")?\\s*/>`, 'g');
+    while (pos < content.length) {
+        const lt = content.indexOf('<', pos);
+        if (lt === -1) {
+            push({ type: 'text', start: pos, end: content.length });
+            break;
+        }
+        if (lt > pos) {
+            push({ type: 'text', start: pos, end: lt });
+        }
+
+        if (content.startsWith('<!--', pos)) {
+            pushDelimited('comment', '<!--', '-->');
+        } else if (content.startsWith('<![CDATA[', pos)) {
+            pushDelimited('cdata', '<![CDATA[', ']]>');
+        } else if (content.startsWith('<?', pos)) {
+            pushDelimited('pi', '<?', '?>');
+        } else if (content.startsWith('<!', pos)) {
+            pushDelimited('doctype', '<!', '>');
+        } else {
+            const tag = readTag(content, pos);
+            if (tag.error) {
+                errors.push({ line, message: tag.error });
+                push({ type: 'text', start: pos, end: tag.end });
             } else {
-                pattern = new RegExp(`<text name="${escapeRegex(prevKey)}" text="[^"]*"\\s*/>`, 'g');
-            }
-            const match = pattern.exec(content);
-            if (match) {
-                return match.index + match[0].length;
+                const type = tag.closing ? 'close' : (tag.selfClosing ? 'selfclose' : 'open');
+                push({ type, start: pos, end: tag.end, name: tag.name, attrs: tag.attrs });
             }
         }
     }
 
-    // Fallback: insert before closing container tag
-    const containerTag = format === 'elements' ? 'elements' : 'texts';
-    const closeTagIndex = content.indexOf(`</${containerTag}>`);
-    if (closeTagIndex !== -1) {
-        return closeTagIndex;
-    }
-
-    return -1;
+    return { tokens, errors };
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// Update English Source File with Hashes
+// XML Parsing
 // ──────────────────────────────────────────────────────────────────────────────
 
-function updateSourceHashes(sourceFile, format) {
-    let content = fs.readFileSync(sourceFile, 'utf8');
-    const { entries } = parseTranslationFile(sourceFile, format);
+/**
+ * Translator metadata on an entry (set in the English file):
+ *   ctx="..." where the string appears, exported for translators
+ *   max="24"  character budget the translation must fit
+ *   nt="1"    do not translate - every language keeps the English text
+ * Any other attribute is kept as written but otherwise ignored.
+ */
+function readEntryMeta(attrs) {
+    const attr = name => attrs.find(a => a.name === name);
+    const max = attr('max') ? parseInt(attr('max').value, 10) : NaN;
+    return {
+        ctx: attr('ctx') ? unescapeXml(attr('ctx').value) : null,
+        max: max > 0 ? max : null,
+        nt: attr('nt') ? ['1', 'true'].includes(attr('nt').value) : false
+    };
+}
 
-    let updated = 0;
+/**
+ * Element and attribute names for each supported XML format
+ */
+function getFormatNames(format) {
+    if (format === 'elements') {
+        return { container: 'elements', entry: 'e', keyAttr: 'k', valueAttr: 'v' };
+    }
+    return { container: 'texts', entry: 'text', keyAttr: 'name', valueAttr: 'text' };
+}
 
-    for (const [key, data] of entries) {
-        const correctHash = getHash(data.value);
-
-        if (data.hash !== correctHash) {
-            // Need to update or add the hash
-            // Match entry with any combination of eh= and tag= attributes
-            const oldPattern = new RegExp(
-                `<e k="${escapeRegex(key)}" v="([^"]*)"([^>]*)\\s*/>`,
-                'g'
-            );
-
-            content = content.replace(oldPattern, (match, value, attrs) => {
-                // Remove any existing eh= attribute
-                const cleanAttrs = attrs.replace(/\s*eh="[^"]*"/g, '');
-                // Preserve tag="format" if present
-                const hasTag = cleanAttrs.includes('tag="format"');
-                if (hasTag) {
-                    return `<e k="${key}" v="${value}" eh="${correctHash}" tag="format"/>`;
-                } else {
-                    return `<e k="${key}" v="${value}" eh="${correctHash}" />`;
-                }
-            });
+/**
+ * Parse translation XML into entries. Attributes may appear in any order,
+ * use either quote style and span lines. Entries that can't be read are
+ * reported in errors [{ line, message }] rather than silently dropped.
+ *
+ * Values are decoded to plain text on read (escapeXml again on write); hashes
+ * are taken over that plain text. Besides entries/orderedKeys/duplicates, the
+ * result keeps each entry's span ({ key, value, rawValue, hash, line, token })
+ * for in-place edits.
+ */
+function parseTranslationContent(content, format) {
+    const names = getFormatNames(format);
+    const { tokens, errors } = tokenizeXml(content);
+    const entries = new Map();
+    const orderedKeys = [];
+    const duplicates = [];
+    const lineNumbers = new Map();
+    const spans = [];
+    const spansByKey = new Map();
+    let containerClose = null;
+
+    for (const token of tokens) {
+        if (token.type === 'close' && token.name === names.container && !containerClose) {
+            containerClose = token;
+        }
+        if ((token.type !== 'selfclose' && token.type !== 'open') || token.name !== names.entry) continue;
+
+        const keyAttr = token.attrs.find(a => a.name === names.keyAttr);
+        const valueAttr = token.attrs.find(a => a.name === names.valueAttr);
+        if (!keyAttr || !valueAttr) {
+            const missingAttr = !keyAttr ? names.keyAttr : names.valueAttr;
+            const keyInfo = keyAttr ? ` (key "${keyAttr.value}")` : '';
+            errors.push({ line: token.line, message: `<${names.entry}> without ${missingAttr}= attribute${keyInfo} - entry skipped` });
+            continue;
+        }
 
-            updated++;
+        const key = unescapeXml(keyAttr.value);
+        const rawValue = valueAttr.value;
+        const value = unescapeXml(rawValue);
+        const hashAttr = token.attrs.find(a => a.name === 'eh');
+        const hash = hashAttr ? hashAttr.value : null;
+        const machineTranslated = token.attrs.some(a => a.name === 'mt' && a.value === '1');
+        const meta = readEntryMeta(token.attrs);
+
+        // Track duplicates
+        if (entries.has(key)) {
+            duplicates.push(key);
         }
-    }
 
-    if (updated > 0) {
-        fs.writeFileSync(sourceFile, content, 'utf8');
+        const span = { key, value, rawValue, hash, line: token.line, token };
+        spans.push(span);
+        if (!spansByKey.has(key)) spansByKey.set(key, []);
+        spansByKey.get(key).push(span);
+        if (!lineNumbers.has(key)) lineNumbers.set(key, []);
+        lineNumbers.get(key).push(token.line);
+
+        entries.set(key, { value, hash, machineTranslated, meta });
+        orderedKeys.push(key);
     }
 
-    return updated;
+    // One report per problem: recovery can trip over the same broken line twice
+    const seenErrors = new Set();
+    const uniqueErrors = errors
+        .sort((a, b) => a.line - b.line)
+        .filter(err => {
+            const id = `${err.line}:${err.message}`;
+            if (seenErrors.has(id)) return false;
+            seenErrors.add(id);
+            return true;
+        });
+
+    return { entries, orderedKeys, duplicates, lineNumbers, errors: uniqueErrors, spans, spansByKey, containerClose, rawContent: content };
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
-// SYNC Command
-// ──────────────────────────────────────────────────────────────────────────────
+function parseTranslationFile(filepath, format) {
+    return parseTranslationContent(fs.readFileSync(filepath, 'utf8'), format);
+}
 
-function syncTranslations() {
-    console.log("══════════════════════════════════════════════════════════════════════");
-    console.log(`TRANSLATION SYNC v${VERSION} - Hash-Based Synchronization`);
-    console.log("══════════════════════════════════════════════════════════════════════");
-    console.log();
+/**
+ * Serialize one entry; key and value are plain text and escaped here, once.
+ * extraAttrs ({ mt: '1' }) are appended after the standard attributes.
+ */
+function formatEntry(key, value, hash, format, extraAttrs = {}) {
+    const escapedKey = escapeXml(key);
+    const escapedValue = escapeXml(value);
+    const extra = Object.entries(extraAttrs).map(([name, attrValue]) => ` ${name}="${escapeXml(attrValue)}"`).join('');
+    if (format === 'elements') {
+        return `<e k="${escapedKey}" v="${escapedValue}" eh="${hash}"${extra} />`;
+    } else {
+        return `<text name="${escapedKey}" text="${escapedValue}"${extra}/>`;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// In-Place Editing
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply edits [{ start, end, text }] to content in one pass.
+ * Inserts at the same position keep the order they were added in.
+ */
+function applyEdits(content, edits) {
+    const ordered = edits
+        .map((edit, index) => ({ ...edit, index }))
+        .sort((a, b) => a.start - b.start || a.index - b.index);
+
+    const parts = [];
+    let pos = 0;
+    for (const edit of ordered) {
+        if (edit.start > pos) parts.push(content.substring(pos, edit.start));
+        parts.push(edit.text);
+        pos = Math.max(pos, edit.end);
+    }
+    parts.push(content.substring(pos));
+
+    return parts.join('');
+}
+
+/**
+ * Edit that sets one attribute of a tag token in place, keeping its quote
+ * style. rawValue must already be XML-escaped. A new attribute is added
+ * right after the `after` attribute (or the last one) as name="value".
+ */
+function attributeEdit(token, name, rawValue, after = null) {
+    const existing = token.attrs.find(a => a.name === name);
+    if (existing) {
+        const value = existing.quote === "'" ? rawValue.replace(/'/g, '&apos;') : rawValue;
+        return { start: existing.valueStart, end: existing.valueEnd, text: value };
+    }
+
+    const anchor = (after && token.attrs.find(a => a.name === after)) || token.attrs[token.attrs.length - 1];
+    const insertAt = anchor.valueEnd + 1;
+    return { start: insertAt, end: insertAt, text: ` ${name}="${rawValue}"` };
+}
+
+/**
+ * Edit that removes an attribute (and the whitespace before it), or null
+ */
+function attributeRemoveEdit(token, name) {
+    const existing = token.attrs.find(a => a.name === name);
+    if (!existing) return null;
+    return { start: existing.start, end: existing.valueEnd + 1, text: '' };
+}
+
+/**
+ * Leading whitespace of the line containing offset
+ */
+function getLineIndent(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Where to insert a missing key: right after the nearest preceding source key
+ * present in the file (or inserted earlier in this run), otherwise on its own
+ * line before the closing container tag. insertedKeys maps keys already placed
+ * in this run to their positions. Returns { offset, indent } or null.
+ */
+function findInsertPosition(parsed, key, enOrderedKeys, insertedKeys) {
+    const content = parsed.rawContent;
+    const enIndex = enOrderedKeys.indexOf(key);
+
+    // Look for the nearest preceding key that exists in this language
+    for (let i = enIndex - 1; i >= 0; i--) {
+        const prevKey = enOrderedKeys[i];
+        if (insertedKeys.has(prevKey)) {
+            return insertedKeys.get(prevKey);
+        }
+        const prevSpans = parsed.spansByKey.get(prevKey);
+        if (prevSpans) {
+            const token = prevSpans[0].token;
+            return { offset: token.end, indent: getLineIndent(content, token.start) };
+        }
+    }
+
+    // Fallback: insert before closing container tag
+    const close = parsed.containerClose;
+    if (!close) return null;
+
+    const indent = parsed.spans.length > 0
+        ? getLineIndent(content, parsed.spans[0].token.start)
+        : getLineIndent(content, close.start) + '    ';
+    const lineStart = content.lastIndexOf('\n', close.start - 1);
+    const onOwnLine = lineStart !== -1 && /^[ \t]*$/.test(content.substring(lineStart + 1, close.start));
+    return { offset: onOwnLine ? lineStart : close.start, indent };
+}
+
+/**
+ * Edit that inserts a new entry (value = plain text) at its source-order position
+ */
+function entryInsertEdit(parsed, key, value, hash, format, enOrderedKeys, insertedKeys, extraAttrs = {}) {
+    const position = findInsertPosition(parsed, key, enOrderedKeys, insertedKeys);
+    if (!position) return null;
+
+    insertedKeys.set(key, position);
+    return { start: position.offset, end: position.offset, text: `\n${position.indent}${formatEntry(key, value, hash, format, extraAttrs)}` };
+}
+
+/**
+ * Queue edits that set the value and hash of an entry. Replaces the value in
+ * place (other attributes untouched) if the entry exists, otherwise inserts
+ * it at the position matching the source file's key order. Value must be
+ * plain (unescaped) text. Machine translations get mt="1"; any other write
+ * clears it. Returns false if the entry could not be placed.
+ */
+function upsertEntry(parsed, edits, key, value, hash, format, sourceOrderedKeys, insertedKeys, machineTranslated = false) {
+    const names = getFormatNames(format);
+    const spans = parsed.spansByKey.get(key);
+
+    if (spans) {
+        for (const { token } of spans) {
+            edits.push(attributeEdit(token, names.valueAttr, escapeXml(value)));
+            if (format === 'elements') {
+                edits.push(attributeEdit(token, 'eh', hash, names.valueAttr));
+            }
+            const mtEdit = machineTranslated
+                ? attributeEdit(token, 'mt', '1', format === 'elements' ? 'eh' : names.valueAttr)
+                : attributeRemoveEdit(token, 'mt');
+            if (mtEdit) edits.push(mtEdit);
+        }
+        return true;
+    }
+
+    const extraAttrs = machineTranslated ? { mt: '1' } : {};
+    const edit = entryInsertEdit(parsed, key, value, hash, format, sourceOrderedKeys, insertedKeys, extraAttrs);
+    if (!edit) return false;
+    edits.push(edit);
+    return true;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Shared Loading
+// ──────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Locate and parse the source language file, with current hashes per key.
+ * Throws if the source file or its XML format can't be found.
+ */
+function loadSource({ quiet = false } = {}) {
     const filePrefix = autoDetectFilePrefix();
     if (!filePrefix) {
-        console.error("ERROR: Could not find source translation file.");
-        console.error(`Looking for: translation_${CONFIG.sourceLanguage}.xml or l10n_${CONFIG.sourceLanguage}.xml`);
-        process.exit(1);
+        throw new Error(`Could not find source translation file (looking for translation_${CONFIG.sourceLanguage}.xml or l10n_${CONFIG.sourceLanguage}.xml in ${process.cwd()})`);
     }
 
     const sourceFile = getSourceFilePath(filePrefix);
     if (!fs.existsSync(sourceFile)) {
-        console.error(`ERROR: Source file not found: ${sourceFile}`);
-        process.exit(1);
+        throw new Error(`Source file not found: ${sourceFile}`);
     }
 
-    const sourceContent = fs.readFileSync(sourceFile, 'utf8');
-    const format = autoDetectXmlFormat(sourceContent);
-
+    const format = autoDetectXmlFormat(fs.readFileSync(sourceFile, 'utf8'));
     if (!format) {
-        console.error("ERROR: Could not detect XML format from source file.");
-        process.exit(1);
+        throw new Error('Could not detect XML format from source file.');
     }
 
-    // Step 1: Update hashes in the English source file
-    console.log(`[1/3] Updating hashes in source file...`);
-
-    if (format === 'elements') {
-        const hashesUpdated = updateSourceHashes(sourceFile, format);
-        if (hashesUpdated > 0) {
-            console.log(`      Updated ${hashesUpdated} hash(es) in ${sourceFile}`);
-        } else {
-            console.log(`      All hashes current in ${sourceFile}`);
+    const { entries, orderedKeys, errors } = parseTranslationFile(sourceFile, format);
+    if (!quiet) {
+        for (const err of errors) {
+            console.error(`WARNING: ${sourceFile} line ${err.line}: ${err.message}`);
         }
-    } else {
-        console.log(`      Skipped (hash embedding only supported for 'elements' format)`);
     }
 
-    // Re-parse source after hash update
-    const { entries: sourceEntries, orderedKeys: sourceOrderedKeys } = parseTranslationFile(sourceFile, format);
+    const hashes = new Map();
+    for (const [key, data] of entries) {
+        hashes.set(key, getHash(data.value));
+    }
+
+    return { filePrefix, sourceFile, format, entries, orderedKeys, hashes, errors };
+}
+
+/**
+ * Get enabled languages, filtered by --lang (comma-separated codes) if given
+ */
+function getSelectedLanguages() {
+    const enabledLangs = getEnabledLanguages();
+    const langOption = getOption('lang');
+    if (!langOption) return enabledLangs;
 
-    // Compute hashes for comparison
-    const sourceHashes = new Map();
-    for (const [key, data] of sourceEntries) {
-        sourceHashes.set(key, getHash(data.value));
+    const codes = langOption.toLowerCase().split(',').map(code => code.trim());
+    const selected = enabledLangs.filter(lang => codes.includes(lang.code));
+    if (selected.length === 0) {
+        throw new Error(`No translation file found for language(s): ${langOption}`);
     }
+    return selected;
+}
 
-    console.log();
-    console.log(`[2/3] Source: ${sourceFile} (${sourceEntries.size} keys)`);
-    console.log(`      Format: ${format}`);
-    console.log();
+/**
+ * Find entries in a language that need translation work.
+ * Returns [{ key, status, english, translation, ctx, max }] in source order,
+ * where status is 'missing', 'stale' or 'untranslated' ([EN] prefix),
+ * english/translation are plain text (translation is null when missing) and
+ * ctx/max come from the English entry. Do-not-translate entries are left out.
+ */
+function collectPendingEntries(source, langEntries) {
+    const pending = [];
 
-    // Step 2: Sync to all target languages
-    console.log(`[3/3] Syncing to target languages...`);
-    console.log();
+    for (const key of source.orderedKeys) {
+        const { value: english, meta } = source.entries.get(key);
+        if (isIgnoredKey(key) || meta.nt) continue;
+        const { ctx, max } = meta;
 
-    const enabledLangs = getEnabledLanguages();
-    const results = [];
+        if (!langEntries.has(key)) {
+            pending.push({ key, status: 'missing', english, translation: null, ctx, max });
+            continue;
+        }
 
-    for (const { code: langCode, name: langName } of enabledLangs) {
-        const langFile = getLangFilePath(filePrefix, langCode);
+        const langData = langEntries.get(key);
+        if (langData.value.startsWith(CONFIG.untranslatedPrefix)) {
+            pending.push({ key, status: 'untranslated', english, translation: langData.value, ctx, max });
+        } else if (source.format === 'elements' && langData.hash && langData.hash !== source.hashes.get(key)) {
+            pending.push({ key, status: 'stale', english, translation: langData.value, ctx, max });
+        }
+    }
 
-        if (!fs.existsSync(langFile)) {
-            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
-            results.push({ lang: langName, missing: -1, stale: 0, added: 0 });
+    return pending;
+}
+
+/**
+ * Classify every entry of one language against the source.
+ * This is the per-language results object behind check, status, report and
+ * validate (and their --format json/sarif output). Each source key lands in
+ * exactly one of translated/missing/stale/untranslated; validation issues
+ * (formatErrors, emptyValues, whitespaceIssues, markupIssues with a
+ * severity each, glossaryViolations, lengthViolations, doNotTranslate) and
+ * unreadable markup (parseErrors [{ line, message }]) are reported on top.
+ */
+function analyzeLanguage(source, langCode, langName) {
+    const langFile = getLangFilePath(source.filePrefix, langCode);
+    const result = {
+        code: langCode,
+        name: langName,
+        file: langFile,
+        exists: fs.existsSync(langFile),
+        total: 0,
+        translated: 0,
+        missing: [],
+        stale: [],
+        untranslated: [],
+        duplicates: [],
+        orphaned: [],
+        formatErrors: [],
+        emptyValues: [],
+        whitespaceIssues: [],
+        markupIssues: [],
+        parseErrors: [],
+        machineTranslated: [],
+        glossaryViolations: [],
+        lengthViolations: [],
+        doNotTranslate: [],
+        lineNumbers: new Map()
+    };
+    if (!result.exists) return result;
+
+    const { entries: langEntries, orderedKeys: langKeys, duplicates, lineNumbers, errors } = parseTranslationFile(langFile, source.format);
+    result.total = langEntries.size;
+    result.duplicates = duplicates.filter(key => !isIgnoredKey(key));
+    result.parseErrors = errors;
+    result.lineNumbers = lineNumbers;
+
+    for (const [key, sourceData] of source.entries) {
+        if (isIgnoredKey(key)) continue;
+        const sourceHash = source.hashes.get(key);
+
+        if (!langEntries.has(key)) {
+            result.missing.push(key);
             continue;
         }
 
-        let { entries: langEntries, orderedKeys: langKeys, duplicates: langDuplicates, rawContent: content } = parseTranslationFile(langFile, format);
-        const langKeySet = new Set(langKeys);
+        const langData = langEntries.get(key);
+        if (langData.machineTranslated) {
+            result.machineTranslated.push(key);
+        }
 
-        const missing = [];
-        const stale = [];
-        const duplicates = langDuplicates || [];
-        const orphaned = [];
-        const formatErrors = [];   // v3.2.0: Format specifier mismatches (CRITICAL)
-        const emptyValues = [];    // v3.2.0: Empty translation values
-        const whitespaceIssues = []; // v3.2.0: Leading/trailing whitespace
-        let added = 0;
+        // v3.21.0: Identical values and Latin text in non-Latin languages go through per-language rules
+        const verdict = langData.value.startsWith(CONFIG.untranslatedPrefix)
+            ? { untranslated: true, rule: 'prefix', reason: 'has [EN] prefix' }
+            : classifyTranslation(langCode, key, sourceData, langData.value);
 
-        // Find missing and stale keys (source → target)
-        for (const sourceKey of sourceOrderedKeys) {
-            const sourceHash = sourceHashes.get(sourceKey);
+        if (verdict.untranslated) {
+            result.untranslated.push({ key, rule: verdict.rule, reason: verdict.reason });
+        } else if (source.format === 'elements' && langData.hash && langData.hash !== sourceHash) {
+            const oldEnglish = loadSnapshots().get(langData.hash);
+            result.stale.push({ key, oldHash: langData.hash, newHash: sourceHash, ...(oldEnglish !== undefined ? { oldEnglish } : {}) });
+        } else {
+            result.translated++;
+        }
 
-            if (!langEntries.has(sourceKey)) {
-                missing.push(sourceKey);
-            } else if (format === 'elements') {
-                const langData = langEntries.get(sourceKey);
-                // Stale = hash doesn't match AND not already marked as untranslated
-                if (langData.hash !== sourceHash && !langData.value.startsWith(CONFIG.untranslatedPrefix)) {
-                    stale.push(sourceKey);
-                }
-            }
+        // v3.20.0: Translator metadata from the English entry
+        const metaIssue = checkEntryMeta(key, sourceData, langData.value);
+        if (metaIssue && metaIssue.type === 'max') {
+            result.lengthViolations.push(metaIssue);
+        } else if (metaIssue) {
+            result.doNotTranslate.push(metaIssue);
         }
 
-        // Find orphaned keys (in target but NOT in source)
-        for (const langKey of langKeys) {
-            if (!sourceEntries.has(langKey)) {
-                orphaned.push(langKey);
+        for (const issue of validateEntry(key, sourceData.value, langData.value)) {
+            if (issue.type === 'count' || issue.type === 'mismatch') {
+                result.formatErrors.push(issue);
+            } else if (issue.type === 'empty') {
+                result.emptyValues.push(issue);
+            } else if (issue.type === 'whitespace') {
+                result.whitespaceIssues.push(issue);
+            } else {
+                result.markupIssues.push(issue);
             }
         }
+    }
 
-        // v3.2.0: Validate translations for format specifiers, empty values, whitespace
-        for (const [key, sourceData] of sourceEntries) {
-            if (langEntries.has(key)) {
-                const langData = langEntries.get(key);
-                const validationIssues = validateEntry(key, sourceData.value, langData.value);
+    // Orphaned keys (in target but NOT in source)
+    for (const langKey of langKeys) {
+        if (!source.entries.has(langKey) && !isIgnoredKey(langKey)) {
+            result.orphaned.push(langKey);
+        }
+    }
 
-                for (const issue of validationIssues) {
-                    if (issue.type === 'count' || issue.type === 'mismatch') {
-                        formatErrors.push(issue);
-                    } else if (issue.type === 'empty') {
-                        emptyValues.push(issue);
-                    } else if (issue.type === 'whitespace') {
-                        whitespaceIssues.push(issue);
-                    }
-                }
-            }
+    result.glossaryViolations = findGlossaryViolations(source, langCode, langEntries);
+
+    return result;
+}
+
+/**
+ * Write translated values into a language file.
+ * Each update is { key, value, hash } where value is plain text and hash is
+ * the English hash it was translated from (null to skip the hash check);
+ * machineTranslated: true marks the entry mt="1" for review.
+ * Rejects entries with unknown keys, changed English text or format errors.
+ * Returns { applied, skipped, rejected } lists of { key, reason }.
+ */
+function applyTranslations(source, langCode, updates, dryRun = false) {
+    const langFile = getLangFilePath(source.filePrefix, langCode);
+    const parsed = parseTranslationFile(langFile, source.format);
+    const langEntries = parsed.entries;
+    const edits = [];
+    const insertedKeys = new Map();
+    const seenKeys = new Set();
+
+    const applied = [];
+    const skipped = [];
+    const rejected = [];
+
+    for (const { key, value, hash, machineTranslated = false } of updates) {
+        const sourceData = source.entries.get(key);
+        if (!sourceData) {
+            rejected.push({ key, reason: 'key not in source file' });
+            continue;
         }
 
-        // Add missing keys
-        for (const key of missing) {
-            const sourceData = sourceEntries.get(key);
-            const sourceHash = sourceHashes.get(key);
-            const placeholderValue = CONFIG.untranslatedPrefix + sourceData.value;
-            const newEntry = `\n        ${formatEntry(key, placeholderValue, sourceHash, format)}`;
+        if (seenKeys.has(key)) {
+            rejected.push({ key, reason: 'key appears more than once in this import' });
+            continue;
+        }
+        seenKeys.add(key);
 
-            const insertPos = findInsertPosition(content, key, sourceOrderedKeys, langKeySet, format);
+        const currentHash = source.hashes.get(key);
+        if (hash && hash !== currentHash) {
+            rejected.push({ key, reason: `English changed since export (${hash} → ${currentHash})` });
+            continue;
+        }
 
-            if (insertPos !== -1) {
-                content = content.substring(0, insertPos) + newEntry + content.substring(insertPos);
-                langKeySet.add(key);
-                added++;
-            }
+        if (value.startsWith(CONFIG.untranslatedPrefix)) {
+            skipped.push({ key, reason: 'still untranslated' });
+            continue;
         }
 
-        // Update hashes for existing entries to match source (elements format only)
-        if (format === 'elements') {
-            for (const [key, sourceData] of sourceEntries) {
-                if (langEntries.has(key) && !missing.includes(key)) {
-                    const sourceHash = sourceHashes.get(key);
-                    const langData = langEntries.get(key);
+        // Same text with no hash yet is left for sync's first-time hash adoption
+        const existing = langEntries.get(key);
+        if (existing && existing.value === value && (!existing.hash || existing.hash === currentHash) && existing.machineTranslated === machineTranslated) {
+            skipped.push({ key, reason: 'unchanged' });
+            continue;
+        }
 
-                    // Add hash to entry if:
-                    // 1. Translation is current (not stale) - normal case
-                    // 2. OR entry has no hash yet AND is not marked as untranslated (first-time adoption)
-                    //    This handles the chicken-and-egg problem when first adding hashes to a repo
-                    const hasNoHash = !langData.hash;
-                    const isUntranslated = langData.value.startsWith(CONFIG.untranslatedPrefix);
-                    const shouldAddHash = !stale.includes(key) || (hasNoHash && !isUntranslated);
+        const englishText = sourceData.value;
+        const issues = validateEntry(key, englishText, value);
+        // Empty values and error-severity issues block; markup warnings and
+        // notes are reported by check/report but don't stop an import
+        const blocking = issues.find(issue => issue.type === 'empty' || issue.severity === 'error');
+        if (blocking) {
+            rejected.push({ key, reason: blocking.message });
+            continue;
+        }
 
-                    if (shouldAddHash) {
-                        // Match entry with any combination of eh= and tag= attributes
-                        // Captures: value, optional existing attributes (eh, tag, etc.)
-                        const pattern = new RegExp(
-                            `<e k="${escapeRegex(key)}" v="([^"]*)"([^>]*)\\s*/>`,
-                            'g'
-                        );
-                        content = content.replace(pattern, (match, v, attrs) => {
-                            // Remove any existing eh= attribute
-                            const cleanAttrs = attrs.replace(/\s*eh="[^"]*"/g, '');
-                            // Preserve tag="format" if present
-                            const hasTag = cleanAttrs.includes('tag="format"');
-                            if (hasTag) {
-                                return `<e k="${key}" v="${v}" eh="${sourceHash}" tag="format"/>`;
-                            } else {
-                                return `<e k="${key}" v="${v}" eh="${sourceHash}" />`;
-                            }
-                        });
-                    }
-                }
+        const metaIssue = checkEntryMeta(key, sourceData, value);
+        if (metaIssue) {
+            rejected.push({ key, reason: metaIssue.message });
+            continue;
+        }
+
+        if (!upsertEntry(parsed, edits, key, value, currentHash, source.format, source.orderedKeys, insertedKeys, machineTranslated)) {
+            rejected.push({ key, reason: 'could not locate entry in language file' });
+            continue;
+        }
+
+        applied.push({ key, reason: existing ? 'updated' : 'added' });
+    }
+
+    if (!dryRun && applied.length > 0) {
+        fs.writeFileSync(langFile, applyEdits(parsed.rawContent, edits), 'utf8');
+    }
+
+    return { applied, skipped, rejected };
+}
+
+/**
+ * Print the outcome of applyTranslations().
+ * With verbose, every applied and skipped entry is listed, not just rejections.
+ */
+function printApplyResult(label, { applied, skipped, rejected }, verbose = false) {
+    console.log(`  ${label.padEnd(18)}: ${applied.length} applied, ${skipped.length} skipped, ${rejected.length} rejected`);
+
+    if (verbose) {
+        for (const { key, reason } of applied) {
+            console.log(`    + ${key}: ${reason}`);
+        }
+    }
+    for (const { key, reason } of rejected) {
+        console.log(`    💥 ${key}: ${reason}`);
+    }
+    const shownSkips = skipped.filter(s => s.reason !== 'unchanged');
+    for (const { key, reason } of verbose ? shownSkips : shownSkips.slice(0, 10)) {
+        console.log(`    - ${key}: ${reason}`);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Unified Diff (for previews)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Line diff using Myers' O(ND) algorithm.
+ * Returns [{ type: ' ' | '-' | '+', line }] edit script from a to b.
+ */
+function diffLines(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = vd[offset + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: '+', line: b[y - 1] });
+            } else {
+                ops.push({ type: '-', line: a[x - 1] });
             }
         }
+        x = prevX;
+        y = prevY;
+    }
 
-        fs.writeFileSync(langFile, content, 'utf8');
+    return ops.reverse();
+}
 
-        // Report
-        const issues = [];
-        if (added > 0) issues.push(`+${added} added`);
-        if (stale.length > 0) issues.push(`${stale.length} stale`);
-        if (duplicates.length > 0) issues.push(`${duplicates.length} duplicates`);
-        if (orphaned.length > 0) issues.push(`${orphaned.length} orphaned`);
-        // v3.2.0: Add validation issues to report
-        if (formatErrors.length > 0) issues.push(`${formatErrors.length} FORMAT ERRORS`);
-        if (emptyValues.length > 0) issues.push(`${emptyValues.length} empty`);
-        if (whitespaceIssues.length > 0) issues.push(`${whitespaceIssues.length} whitespace`);
+/**
+ * Build a unified diff (3 lines of context) between two versions of a file.
+ * Returns an empty string when the contents are identical; an empty
+ * oldText is a new file.
+ */
+function unifiedDiff(oldText, newText, fileName, context = 3) {
+    if (oldText === newText) return '';
+
+    // The newline ending the last line doesn't start another one
+    const toLines = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+    const ops = diffLines(toLines(oldText), toLines(newText));
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    const output = [oldText === '' ? '--- /dev/null' : `--- a/${fileName}`, `+++ b/${fileName}`];
+    let i = 0;
+    while (i < ops.length) {
+        if (ops[i].type === ' ') {
+            i++;
+            continue;
+        }
+
+        // Extend the hunk while changes are within 2x context of each other
+        let lastChange = i;
+        let j = i;
+        while (j < ops.length && j - lastChange <= 2 * context) {
+            if (ops[j].type !== ' ') lastChange = j;
+            j++;
+        }
+
+        const hunk = ops.slice(Math.max(0, i - context), Math.min(ops.length, lastChange + context + 1));
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+        const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const op of hunk) {
+            output.push(`${op.type}${op.line}`);
+        }
+
+        i = lastChange + context + 1;
+    }
+
+    return output.join('\n') + '\n';
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Update English Source File with Hashes
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Recompute the eh= of every source entry.
+ * Returns { updated, original, content }; the file is only written when
+ * something changed and this isn't a dry run.
+ */
+function updateSourceHashes(sourceFile, format, dryRun = false) {
+    const parsed = parseTranslationFile(sourceFile, format);
+    const original = parsed.rawContent;
+    const edits = [];
+
+    let updated = 0;
+
+    for (const span of parsed.spans) {
+        const correctHash = getHash(span.value);
+
+        if (span.hash !== correctHash) {
+            // Set eh= in place; other attributes (tag="format" etc.) are left alone
+            edits.push(attributeEdit(span.token, 'eh', correctHash, 'v'));
+            updated++;
+        }
+    }
+
+    const content = updated > 0 ? applyEdits(original, edits) : original;
+
+    if (updated > 0 && !dryRun) {
+        fs.writeFileSync(sourceFile, content, 'utf8');
+    }
+
+    return { updated, original, content };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Source Snapshots - English Behind Each Hash (v3.23.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+let snapshotCache = null;
+
+/**
+ * Load the snapshot store (CONFIG.snapshotFile) once: Map<eh hash, English text>.
+ * sync keeps it up to date; a missing file is an empty store.
+ */
+function loadSnapshots() {
+    if (snapshotCache) return snapshotCache;
+
+    let data = {};
+    if (fs.existsSync(CONFIG.snapshotFile)) {
+        try {
+            data = JSON.parse(fs.readFileSync(CONFIG.snapshotFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`${CONFIG.snapshotFile}: ${err.message}`);
+        }
+    }
+
+    snapshotCache = new Map(Object.entries(data));
+    return snapshotCache;
+}
+
+/**
+ * Write the store, keeping only hashes some file still uses: the current
+ * English plus every eh= in the language files, so the text a stale entry
+ * was translated from stays until it is re-translated.
+ * Returns { original, content } if the file changed (or would, with
+ * dryRun; original is '' for a new file), otherwise null.
+ */
+function saveSnapshots(snapshots, usedHashes, dryRun = false) {
+    const kept = {};
+    for (const hash of [...snapshots.keys()].sort()) {
+        if (usedHashes.has(hash)) kept[hash] = snapshots.get(hash);
+    }
+
+    const content = JSON.stringify(kept, null, 2) + '\n';
+    const original = fs.existsSync(CONFIG.snapshotFile) ? fs.readFileSync(CONFIG.snapshotFile, 'utf8') : '';
+    if (content === original) return null;
+
+    if (!dryRun) fs.writeFileSync(CONFIG.snapshotFile, content, 'utf8');
+    return { original, content };
+}
+
+/**
+ * Find English texts for hashes the store lacks in the git history of the
+ * source file: every entry line `git log -p` shows as added or removed is
+ * hashed. Returns Map<hash, text>; empty when git or the history is missing.
+ */
+function findSnapshotsInGit(sourceFile, wantedHashes) {
+    const found = new Map();
+    if (wantedHashes.size === 0) return found;
+
+    let log;
+    try {
+        log = execFileSync('git', ['log', '-p', '--no-color', '--format=', '--', path.basename(sourceFile)], {
+            cwd: path.dirname(path.resolve(sourceFile)),
+            encoding: 'utf8',
+            maxBuffer: 512 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+    } catch (err) {
+        return found;
+    }
+
+    for (const line of log.split('\n')) {
+        if (!/^[-+]\s*</.test(line)) continue;
+        for (const token of tokenizeXml(line.substring(1)).tokens) {
+            if (!token.attrs) continue;
+            const attrs = Object.fromEntries(token.attrs.map(a => [a.name, unescapeXml(a.value)]));
+            const value = attrs.v !== undefined ? attrs.v : attrs.text;
+            if (value === undefined) continue;
+
+            const hash = getHash(value);
+            if (wantedHashes.has(hash) && !found.has(hash)) found.set(hash, value);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Word-level diff in the style of git --word-diff=plain:
+ * "Vehicle Details" → "Vehicle Info" gives "Vehicle [-Details-]{+Info+}"
+ */
+function wordDiff(oldText, newText) {
+    const ops = diffLines(oldText.split(/(\s+)/), newText.split(/(\s+)/));
+    let result = '';
+    let removed = '';
+    let added = '';
+
+    const flush = () => {
+        if (removed) result += `[-${removed}-]`;
+        if (added) result += `{+${added}+}`;
+        removed = '';
+        added = '';
+    };
+
+    for (const { type, line } of ops) {
+        if (type === '-') {
+            removed += line;
+        } else if (type === '+') {
+            added += line;
+        } else {
+            flush();
+            result += line;
+        }
+    }
+    flush();
+
+    return result;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SYNC Command
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Sync the current translations directory: set English eh= hashes, add
+ * missing keys ("[EN] " placeholders), bring target hashes up to date and
+ * update the snapshot store. Nothing is written with dryRun or diff (diff
+ * also returns a unified diff per changed file). Throws when there is no
+ * usable English file. Returns { sourceFile, format, sourceKeys,
+ * sourceParseErrors, hashesUpdated, filesChanged, snapshotsUpdated, diffs,
+ * languages }, where
+ * each language has { code, name, file, exists, parseErrors, missing, added,
+ * stale, duplicates, orphaned, formatErrors, emptyValues, whitespaceIssues,
+ * markupIssues } - key lists, and issue objects as from validateEntry.
+ */
+function syncDirectory({ dryRun = false, diff = false } = {}) {
+    // diff implies dryRun: previews never touch disk
+    dryRun = dryRun || diff;
+    const diffs = [];
+    let filesChanged = 0;
+
+    // Hashes come from the values, so they hold after the eh= update below
+    const source = loadSource({ quiet: true });
+    const { filePrefix, sourceFile, format, entries: sourceEntries, orderedKeys: sourceOrderedKeys, hashes: sourceHashes } = source;
+
+    // Step 1: Update hashes in the English source file
+    let hashesUpdated = 0;
+    if (format === 'elements') {
+        const { updated, original, content } = updateSourceHashes(sourceFile, format, dryRun);
+        hashesUpdated = updated;
+        if (original !== content) {
+            filesChanged++;
+            if (diff) diffs.push(unifiedDiff(original, content, sourceFile));
+        }
+    }
+
+    // Step 2: Sync to all target languages
+    const languages = [];
+    const usedHashes = new Set(sourceHashes.values());
+
+    for (const { code: langCode, name: langName } of getEnabledLanguages()) {
+        const langFile = getLangFilePath(filePrefix, langCode);
+
+        if (!fs.existsSync(langFile)) {
+            languages.push({ code: langCode, name: langName, file: langFile, exists: false });
+            continue;
+        }
+
+        const parsed = parseTranslationFile(langFile, format);
+        const { entries: langEntries, orderedKeys: langKeys, duplicates: langDuplicates } = parsed;
+        const edits = [];
+        const insertedKeys = new Map();
+        for (const langData of langEntries.values()) {
+            if (langData.hash) usedHashes.add(langData.hash);
+        }
+
+        const missing = [];
+        const stale = [];
+        const duplicates = langDuplicates || [];
+        const orphaned = [];
+        const formatErrors = [];   // v3.2.0: Format specifier mismatches (CRITICAL)
+        const emptyValues = [];    // v3.2.0: Empty translation values
+        const whitespaceIssues = []; // v3.2.0: Leading/trailing whitespace
+        const markupIssues = [];   // v3.15.0: Line breaks, $l10n_ refs, %%, delimiters, punctuation
+        let added = 0;
+
+        // Find missing and stale keys (source → target)
+        for (const sourceKey of sourceOrderedKeys) {
+            const sourceHash = sourceHashes.get(sourceKey);
+
+            if (!langEntries.has(sourceKey)) {
+                missing.push(sourceKey);
+            } else if (format === 'elements') {
+                const langData = langEntries.get(sourceKey);
+                // Stale = hash doesn't match AND not already marked as untranslated
+                if (langData.hash !== sourceHash && !langData.value.startsWith(CONFIG.untranslatedPrefix)) {
+                    stale.push(sourceKey);
+                }
+            }
+        }
+
+        // Find orphaned keys (in target but NOT in source)
+        for (const langKey of langKeys) {
+            if (!sourceEntries.has(langKey)) {
+                orphaned.push(langKey);
+            }
+        }
+
+        // v3.2.0: Validate translations for format specifiers, empty values, whitespace
+        for (const [key, sourceData] of sourceEntries) {
+            if (langEntries.has(key)) {
+                const langData = langEntries.get(key);
+                const validationIssues = validateEntry(key, sourceData.value, langData.value);
+
+                for (const issue of validationIssues) {
+                    if (issue.type === 'count' || issue.type === 'mismatch') {
+                        formatErrors.push(issue);
+                    } else if (issue.type === 'empty') {
+                        emptyValues.push(issue);
+                    } else if (issue.type === 'whitespace') {
+                        whitespaceIssues.push(issue);
+                    } else {
+                        markupIssues.push(issue);
+                    }
+                }
+            }
+        }
+
+        // Add missing keys
+        for (const key of missing) {
+            const sourceData = sourceEntries.get(key);
+            const sourceHash = sourceHashes.get(key);
+            // Do-not-translate entries are final as soon as they exist
+            const placeholderValue = sourceData.meta.nt ? sourceData.value : CONFIG.untranslatedPrefix + sourceData.value;
+
+            const edit = entryInsertEdit(parsed, key, placeholderValue, sourceHash, format, sourceOrderedKeys, insertedKeys);
+            if (edit) {
+                edits.push(edit);
+                added++;
+            }
+        }
+
+        // Update hashes for existing entries to match source (elements format only)
+        if (format === 'elements') {
+            for (const [key, sourceData] of sourceEntries) {
+                if (langEntries.has(key) && !missing.includes(key)) {
+                    const sourceHash = sourceHashes.get(key);
+                    const langData = langEntries.get(key);
+
+                    // Add hash to entry if:
+                    // 1. Translation is current (not stale) - normal case
+                    // 2. OR entry has no hash yet AND is not marked as untranslated (first-time adoption)
+                    //    This handles the chicken-and-egg problem when first adding hashes to a repo
+                    const hasNoHash = !langData.hash;
+                    const isUntranslated = langData.value.startsWith(CONFIG.untranslatedPrefix);
+                    const shouldAddHash = !stale.includes(key) || (hasNoHash && !isUntranslated);
+
+                    if (shouldAddHash) {
+                        // Set eh= in place on every occurrence; everything else stays as written
+                        for (const span of parsed.spansByKey.get(key)) {
+                            if (span.hash !== sourceHash) {
+                                edits.push(attributeEdit(span.token, 'eh', sourceHash, 'v'));
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Only write when something actually changed
+        const original = parsed.rawContent;
+        const content = edits.length > 0 ? applyEdits(original, edits) : original;
+        if (content !== original) {
+            filesChanged++;
+            if (diff) {
+                diffs.push(unifiedDiff(original, content, langFile));
+            } else if (!dryRun) {
+                fs.writeFileSync(langFile, content, 'utf8');
+            }
+        }
+
+        languages.push({
+            code: langCode,
+            name: langName,
+            file: langFile,
+            exists: true,
+            parseErrors: parsed.errors,
+            missing,
+            added,
+            stale,
+            duplicates,
+            orphaned,
+            formatErrors,
+            emptyValues,
+            whitespaceIssues,
+            markupIssues
+        });
+    }
+
+    // v3.23.0: Remember the English behind every hash still in use
+    let snapshotsUpdated = false;
+    if (format === 'elements') {
+        const snapshots = loadSnapshots();
+        for (const [key, data] of sourceEntries) {
+            snapshots.set(sourceHashes.get(key), data.value);
+        }
+        const change = saveSnapshots(snapshots, usedHashes, dryRun);
+        if (change) {
+            snapshotsUpdated = true;
+            filesChanged++;
+            if (diff) diffs.push(unifiedDiff(change.original, change.content, CONFIG.snapshotFile));
+        }
+    }
+
+    return {
+        sourceFile,
+        format,
+        sourceKeys: sourceEntries.size,
+        sourceParseErrors: source.errors,
+        hashesUpdated,
+        filesChanged,
+        snapshotsUpdated,
+        diffs,
+        languages
+    };
+}
+
+function syncTranslations() {
+    const showDiff = hasFlag('diff');
+    const dryRun = showDiff || hasFlag('dry-run');
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION SYNC v${VERSION} - Hash-Based Synchronization${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const result = syncDirectory({ dryRun, diff: showDiff });
+    const { sourceFile, format, hashesUpdated, filesChanged } = result;
+
+    console.log(`[1/3] Updating hashes in source file...`);
+    if (format !== 'elements') {
+        console.log(`      Skipped (hash embedding only supported for 'elements' format)`);
+    } else if (hashesUpdated > 0) {
+        console.log(`      ${dryRun ? 'Would update' : 'Updated'} ${hashesUpdated} hash(es) in ${sourceFile}`);
+    } else {
+        console.log(`      All hashes current in ${sourceFile}`);
+    }
+
+    console.log();
+    console.log(`[2/3] Source: ${sourceFile} (${result.sourceKeys} keys)`);
+    console.log(`      Format: ${format}`);
+    for (const err of result.sourceParseErrors) {
+        console.log(`      ⚠ line ${err.line}: ${err.message}`);
+    }
+    console.log();
+
+    console.log(`[3/3] Syncing to target languages...`);
+    console.log();
+
+    for (const lang of result.languages) {
+        const { name: langName, missing, added, stale, duplicates, orphaned, parseErrors, formatErrors, emptyValues, whitespaceIssues, markupIssues } = lang;
+
+        if (!lang.exists) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        // Report
+        const issues = [];
+        if (parseErrors.length > 0) issues.push(`${parseErrors.length} unparseable (left untouched)`);
+        if (added > 0) issues.push(`+${added} added`);
+        if (stale.length > 0) issues.push(`${stale.length} stale`);
+        if (duplicates.length > 0) issues.push(`${duplicates.length} duplicates`);
+        if (orphaned.length > 0) issues.push(`${orphaned.length} orphaned`);
+        // v3.2.0: Add validation issues to report
+        if (formatErrors.length > 0) issues.push(`${formatErrors.length} FORMAT ERRORS`);
+        if (emptyValues.length > 0) issues.push(`${emptyValues.length} empty`);
+        if (whitespaceIssues.length > 0) issues.push(`${whitespaceIssues.length} whitespace`);
+        if (markupIssues.length > 0) issues.push(`${markupIssues.length} markup`);
+
+        if (issues.length === 0) {
+            console.log(`  ${langName.padEnd(18)}: ✓ OK`);
+        } else {
+            console.log(`  ${langName.padEnd(18)}: ${issues.join(', ')}`);
+
+            // v3.2.0: Show format errors FIRST (most critical!)
+            if (formatErrors.length > 0) {
+                console.log(`    🔴 FORMAT SPECIFIER ERRORS (will crash game!):`);
+                for (const err of formatErrors.slice(0, 5)) {
+                    console.log(`    💥 ${err.key}: ${err.message}`);
+                }
+                if (formatErrors.length > 5) {
+                    console.log(`    ... and ${formatErrors.length - 5} more format errors`);
+                }
+            }
+
+            for (const err of parseErrors.slice(0, 5)) {
+                console.log(`    ⚠ line ${err.line}: ${err.message}`);
+            }
+            if (parseErrors.length > 5) {
+                console.log(`    ... and ${parseErrors.length - 5} more unparseable`);
+            }
+
+            if (added > 0) {
+                for (const key of missing.slice(0, 3)) {
+                    console.log(`    + ${key}`);
+                }
+                if (missing.length > 3) {
+                    console.log(`    ... and ${missing.length - 3} more`);
+                }
+            }
+
+            if (stale.length > 0 && stale.length <= 5) {
+                console.log(`    Stale (English changed):`);
+                for (const key of stale) {
+                    console.log(`    ~ ${key}`);
+                }
+            } else if (stale.length > 5) {
+                console.log(`    Stale: ${stale.slice(0, 3).join(', ')} ... +${stale.length - 3} more`);
+            }
+
+            if (duplicates.length > 0 && duplicates.length <= 5) {
+                console.log(`    Duplicates (same key appears twice - remove one!):`);
+                for (const key of duplicates) {
+                    console.log(`    !! ${key}`);
+                }
+            } else if (duplicates.length > 5) {
+                console.log(`    Duplicates: ${duplicates.slice(0, 3).join(', ')} ... +${duplicates.length - 3} more`);
+            }
+
+            if (orphaned.length > 0 && orphaned.length <= 5) {
+                console.log(`    Orphaned (not in English - can delete):`);
+                for (const key of orphaned) {
+                    console.log(`    x ${key}`);
+                }
+            } else if (orphaned.length > 5) {
+                console.log(`    Orphaned: ${orphaned.slice(0, 3).join(', ')} ... +${orphaned.length - 3} more`);
+            }
+
+            // v3.2.0: Show empty and whitespace issues
+            if (emptyValues.length > 0) {
+                console.log(`    Empty values: ${emptyValues.slice(0, 3).map(e => e.key).join(', ')}${emptyValues.length > 3 ? ` ... +${emptyValues.length - 3} more` : ''}`);
+            }
+            if (whitespaceIssues.length > 0) {
+                console.log(`    Whitespace issues: ${whitespaceIssues.slice(0, 3).map(e => e.key).join(', ')}${whitespaceIssues.length > 3 ? ` ... +${whitespaceIssues.length - 3} more` : ''}`);
+            }
+            // v3.15.0: Markup problems, most severe first
+            const shownMarkup = sortBySeverity(markupIssues).filter(e => e.severity !== 'note');
+            for (const err of shownMarkup.slice(0, 5)) {
+                console.log(`    ${SEVERITY_ICONS[err.severity]} ${err.key}: ${err.message}`);
+            }
+            if (shownMarkup.length > 5) {
+                console.log(`    ... and ${shownMarkup.length - 5} more markup issues (see 'report')`);
+            }
+        }
+    }
+
+    if (result.snapshotsUpdated) {
+        console.log(`\n  ${dryRun ? 'Would update' : 'Updated'} ${CONFIG.snapshotFile} (English text per hash, shown by report for stale entries)`);
+    }
+
+    if (showDiff) {
+        console.log();
+        for (const diff of result.diffs) {
+            process.stdout.write(diff);
+        }
+    }
+
+    if (dryRun) {
+        console.log();
+        console.log("══════════════════════════════════════════════════════════════════════");
+        console.log(`DRY RUN COMPLETE - ${filesChanged} file(s) would change`);
+        if (!showDiff && filesChanged > 0) {
+            console.log("Run 'node translation_sync.js sync --diff' to see the changes.");
+        }
+        console.log("══════════════════════════════════════════════════════════════════════");
+        return;
+    }
+
+    console.log();
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`SYNC COMPLETE - ${filesChanged} file(s) written`);
+    console.log();
+    console.log("Hash-based tracking is now embedded in your XML files:");
+    console.log("  - English entries have eh=\"hash\" showing current text hash");
+    console.log("  - Target entries have eh=\"hash\" showing what they were translated from");
+    console.log("  - When hashes don't match = translation is STALE (needs update)");
+    console.log();
+    console.log(`New entries have "${CONFIG.untranslatedPrefix}" prefix - they need translation!`);
+    console.log("When translator updates an entry, update its eh= to match English.");
+    console.log("══════════════════════════════════════════════════════════════════════");
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Machine-Readable Output (--format json / sarif)
+// ──────────────────────────────────────────────────────────────────────────────
+
+const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+
+// SARIF rule per issue type; level drives how CI annotates the line
+const SARIF_RULES = [
+    { id: 'missing-key', field: 'missing', level: 'error', description: 'Key exists in English but not in this language' },
+    { id: 'stale-translation', field: 'stale', level: 'warning', description: 'English text changed since this entry was translated' },
+    { id: 'untranslated', field: 'untranslated', level: 'note', description: 'Entry has the untranslated prefix or is identical to English' },
+    { id: 'duplicate-key', field: 'duplicates', level: 'error', description: 'Same key appears more than once in the file' },
+    { id: 'orphaned-key', field: 'orphaned', level: 'warning', description: 'Key is not in the English file' },
+    { id: 'format-specifier', field: 'formatErrors', level: 'error', description: 'Format specifiers differ from English - will crash the game' },
+    { id: 'empty-value', field: 'emptyValues', level: 'warning', description: 'Translation is an empty string' },
+    { id: 'whitespace', field: 'whitespaceIssues', level: 'warning', description: 'Translation has leading or trailing whitespace' },
+    { id: 'markup', field: 'markupIssues', level: 'warning', description: 'Line breaks, $l10n_ references, %% escapes, delimiters or trailing punctuation differ from English' },
+    { id: 'parse-error', field: 'parseErrors', level: 'error', description: 'Entry could not be parsed and is ignored by every command' },
+    { id: 'glossary-term', field: 'glossaryViolations', level: 'warning', description: 'Translation does not use the glossary rendering of a term' },
+    { id: 'max-length', field: 'lengthViolations', level: 'error', description: 'Translation is longer than the max= budget of the English entry' },
+    { id: 'do-not-translate', field: 'doNotTranslate', level: 'error', description: 'Entry is marked nt= but the translation differs from English' },
+    { id: 'gui-overflow', field: 'guiOverflows', level: 'warning', description: 'Translation is estimated to be wider than its GUI text element' }
+];
+
+function getOutputFormat() {
+    const outputFormat = (getOption('format') || 'text').toLowerCase();
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Unknown --format "${outputFormat}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    return outputFormat;
+}
+
+/**
+ * Find the repository root (nearest directory with .git) so SARIF paths
+ * match what CI annotates; falls back to where the tool was run from
+ */
+function findRepoRoot() {
+    let dir = path.resolve('.');
+    while (true) {
+        if (fs.existsSync(path.join(dir, '.git'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return invocationDir;
+        dir = parent;
+    }
+}
+
+/**
+ * Build a SARIF 2.1.0 log with one result per issue, located at the entry's
+ * line in the language file (or the English line, for missing keys)
+ */
+function buildSarif(source, analyses) {
+    const repoRoot = findRepoRoot();
+    const toUri = file => path.relative(repoRoot, path.resolve(file)).split(path.sep).join('/');
+    const sourceLines = parseTranslationFile(source.sourceFile, source.format).lineNumbers;
+
+    const location = (file, line) => ({
+        physicalLocation: {
+            artifactLocation: { uri: toUri(file) },
+            ...(line ? { region: { startLine: line } } : {})
+        }
+    });
+
+    const results = [];
+    for (const a of analyses.filter(a => a.exists)) {
+        const duplicateSeen = new Map();
+
+        for (const rule of SARIF_RULES) {
+            // guiOverflows is only filled in by the gui command
+            for (const item of a[rule.field] || []) {
+                const key = typeof item === 'string' ? item : item.key;
+                const lines = a.lineNumbers.get(key) || [];
+                let line = lines[0];
+                let text = `${a.name}: ${key} - ${rule.description}`;
+
+                if (rule.field === 'missing') {
+                    line = null;
+                } else if (rule.field === 'parseErrors') {
+                    line = item.line;
+                    text = `${a.name}: ${item.message}`;
+                } else if (rule.field === 'duplicates') {
+                    // Point each duplicate report at the next repeated occurrence
+                    const seen = (duplicateSeen.get(key) || 0) + 1;
+                    duplicateSeen.set(key, seen);
+                    line = lines[seen];
+                } else if (item.message) {
+                    text = `${a.name}: ${key} - ${item.message}`;
+                } else if (rule.field === 'stale') {
+                    text = `${a.name}: ${key} - English changed since translation (${item.oldHash} → ${item.newHash})`;
+                }
+
+                const result = {
+                    ruleId: rule.id,
+                    level: item.severity || rule.level,
+                    message: { text },
+                    locations: [location(a.file, line)]
+                };
+                if (rule.field === 'missing' && sourceLines.has(key)) {
+                    result.relatedLocations = [{ id: 1, ...location(source.sourceFile, sourceLines.get(key)[0]), message: { text: 'English entry' } }];
+                }
+                results.push(result);
+            }
+        }
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{ tool: getSarifTool(), results }]
+    };
+}
+
+function getSarifTool() {
+    return {
+        driver: {
+            name: 'translation_sync',
+            version: VERSION,
+            rules: SARIF_RULES.map(rule => ({
+                id: rule.id,
+                shortDescription: { text: rule.description },
+                defaultConfiguration: { level: rule.level }
+            }))
+        }
+    };
+}
+
+/**
+ * Print per-language analysis as JSON or SARIF instead of console tables.
+ * ok is included for commands that pass/fail (check, validate).
+ */
+function printMachineReport(command, source, analyses, outputFormat, ok = undefined) {
+    if (outputFormat === 'sarif') {
+        printDocument(buildSarif(source, analyses));
+        return;
+    }
+
+    const report = {
+        tool: 'translation_sync',
+        version: VERSION,
+        command,
+        ok,
+        source: { file: source.sourceFile, format: source.format, keys: source.entries.size },
+        languages: analyses.map(({ lineNumbers, ...rest }) => rest)
+    };
+    printDocument(report);
+}
+
+// Set by main() while it runs several --dir, to print one document for all
+let collectedDocuments = null;
+
+/**
+ * Print a JSON or SARIF document, or hold it for main() when it is
+ * collecting the documents of several directories
+ */
+function printDocument(document) {
+    if (collectedDocuments) {
+        collectedDocuments.push(document);
+    } else {
+        console.log(JSON.stringify(document, null, 2));
+    }
+}
+
+/**
+ * Print the documents of several directories as one: a JSON array of
+ * { directory, ...document } or a SARIF log with a run per directory.
+ * outcomes: [{ directory, documents, error }], error set if the directory
+ * failed; it becomes { directory, ok: false, error } or a failed run.
+ */
+function printCombinedDocuments(outputFormat, outcomes) {
+    if (outputFormat !== 'sarif') {
+        const combined = outcomes.flatMap(({ directory, documents, error }) =>
+            error ? [{ directory, ok: false, error }] : documents.map(document => ({ directory, ...document })));
+        console.log(JSON.stringify(combined, null, 2));
+        return;
+    }
+
+    const runs = outcomes.flatMap(({ directory, documents, error }) => {
+        const automationDetails = { id: `${path.relative(invocationDir, directory).split(path.sep).join('/') || '.'}/` };
+        if (error) {
+            return [{
+                tool: getSarifTool(),
+                automationDetails,
+                invocations: [{
+                    executionSuccessful: false,
+                    toolExecutionNotifications: [{ level: 'error', message: { text: error } }]
+                }],
+                results: []
+            }];
+        }
+        return documents.flatMap(document => document.runs.map(run => ({ ...run, automationDetails })));
+    });
+    console.log(JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs
+    }, null, 2));
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// CHECK Command
+// ──────────────────────────────────────────────────────────────────────────────
+
+function checkSync() {
+    const outputFormat = getOutputFormat();
+    const source = loadSource();
+    const analyses = getEnabledLanguages().map(({ code, name }) => analyzeLanguage(source, code, name));
+
+    // Missing files and the CONFIG.failOn issue types (by default missing keys,
+    // duplicates, orphans and unparseable entries) fail the check
+    const isFailing = a => !a.exists || CONFIG.failOn.some(type => a[type].length > 0);
+    const hasProblems = analyses.some(isFailing);
+
+    if (outputFormat !== 'text') {
+        printMachineReport('check', source, analyses, outputFormat, !hasProblems);
+        // exitCode rather than exit(): large reports must finish flushing to a pipe
+        process.exitCode = hasProblems ? 1 : 0;
+        return;
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION CHECK v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    console.log(`Source: ${source.sourceFile} (${source.entries.size} keys)\n`);
+
+    const summary = [];
+
+    for (const a of analyses) {
+        if (!a.exists) {
+            console.log(`  ${a.name.padEnd(18)}: FILE NOT FOUND`);
+            summary.push({ name: a.name, total: 0, missing: -1, stale: 0, untranslated: 0 });
+            continue;
+        }
+
+        const issues = [];
+        if (a.missing.length > 0) issues.push(`${a.missing.length} MISSING`);
+        if (a.stale.length > 0) issues.push(`${a.stale.length} stale`);
+        if (a.untranslated.length > 0) issues.push(`${a.untranslated.length} untranslated`);
+        if (a.duplicates.length > 0) issues.push(`${a.duplicates.length} duplicates`);
+        if (a.orphaned.length > 0) issues.push(`${a.orphaned.length} orphaned`);
+        if (a.parseErrors.length > 0) issues.push(`${a.parseErrors.length} UNPARSEABLE`);
+        if (a.lengthViolations.length > 0) issues.push(`${a.lengthViolations.length} OVER MAX`);
+        if (a.doNotTranslate.length > 0) issues.push(`${a.doNotTranslate.length} NT CHANGED`);
+
+        if (issues.length === 0) {
+            console.log(`  ${a.name.padEnd(18)}: ✓ OK (${a.total} keys)`);
+        } else {
+            console.log(`  ${a.name.padEnd(18)}: ${issues.join(', ')}`);
+        }
+
+        for (const err of a.parseErrors) {
+            console.log(`    ⚠ line ${err.line}: ${err.message}`);
+        }
+        for (const { key, message } of [...a.lengthViolations, ...a.doNotTranslate]) {
+            console.log(`    ✖ ${key}: ${message}`);
+        }
+
+        summary.push({
+            name: a.name,
+            total: a.total,
+            missing: a.missing.length,
+            stale: a.stale.length,
+            untranslated: a.untranslated.length,
+            duplicates: a.duplicates.length,
+            orphaned: a.orphaned.length,
+            parseErrors: a.parseErrors.length,
+            failing: isFailing(a)
+        });
+    }
+
+    console.log();
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+    console.log("SUMMARY:");
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+    console.log("Language            | Total  | Missing | Stale | Untranslated | Duplicates | Orphaned");
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+
+    for (const s of summary) {
+        const status = s.failing ? '!!' : '  ';
+        const totalStr = s.missing === -1 ? '  N/A' : String(s.total).padStart(6);
+        const missingStr = s.missing === -1 ? '  N/A' : String(s.missing).padStart(7);
+        const dupsStr = s.duplicates !== undefined ? String(s.duplicates).padStart(10) : '       N/A';
+        const orphStr = s.orphaned !== undefined ? String(s.orphaned).padStart(8) : '     N/A';
+        console.log(`${status}${s.name.padEnd(18)} | ${totalStr} | ${missingStr} | ${String(s.stale).padStart(5)} | ${String(s.untranslated).padStart(12)} | ${dupsStr} | ${orphStr}`);
+    }
+
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+
+    if (hasProblems) {
+        console.log();
+        const totalMissing = summary.reduce((sum, s) => sum + (s.missing > 0 ? s.missing : 0), 0);
+        const totalDuplicates = summary.reduce((sum, s) => sum + (s.duplicates || 0), 0);
+        const totalOrphaned = summary.reduce((sum, s) => sum + (s.orphaned || 0), 0);
+        const totalParseErrors = summary.reduce((sum, s) => sum + (s.parseErrors || 0), 0);
+        if (totalParseErrors > 0) {
+            console.log(`CRITICAL: ${totalParseErrors} entries could not be parsed (see lines above) - fix the XML by hand.`);
+        }
+        if (totalMissing > 0) {
+            console.log("CRITICAL: Missing keys detected! Run 'node translation_sync.js sync' to fix.");
+        }
+        if (totalDuplicates > 0) {
+            console.log(`CRITICAL: ${totalDuplicates} duplicate keys found! Run 'node translation_sync.js prune' to remove them.`);
+        }
+        if (totalOrphaned > 0) {
+            console.log(`WARNING: ${totalOrphaned} orphaned keys found (in target but not in English). Run 'node translation_sync.js prune' to delete.`);
+        }
+        const totalMeta = analyses.reduce((sum, a) => sum + a.lengthViolations.length + a.doNotTranslate.length, 0);
+        if (totalMeta > 0) {
+            console.log(`CRITICAL: ${totalMeta} translation(s) break the English entry's max= or nt= (see lines above).`);
+        }
+        // Issue types a project added to failOn beyond the ones reported above
+        const reported = ['missing', 'duplicates', 'orphaned', 'parseErrors', 'lengthViolations', 'doNotTranslate'];
+        for (const type of CONFIG.failOn.filter(t => !reported.includes(t))) {
+            const count = analyses.reduce((sum, a) => sum + (a.exists ? a[type].length : 0), 0);
+            if (count > 0) {
+                console.log(`CRITICAL: ${count} ${type} (failOn in ${PROJECT_CONFIG_FILE}). Run 'node translation_sync.js report' for details.`);
+            }
+        }
+        process.exitCode = 1;
+    } else {
+        console.log();
+        const totalStale = summary.reduce((sum, s) => sum + s.stale, 0);
+        const totalUntranslated = summary.reduce((sum, s) => sum + s.untranslated, 0);
+
+        if (totalStale > 0) {
+            console.log(`Note: ${totalStale} stale entries need re-translation (English text changed).`);
+        }
+        if (totalUntranslated > 0) {
+            console.log(`Note: ${totalUntranslated} entries have "${CONFIG.untranslatedPrefix}" prefix and need translation.`);
+        }
+        if (totalStale === 0 && totalUntranslated === 0) {
+            console.log("All translations are complete and up to date!");
+        }
+        process.exitCode = 0;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// STATUS Command
+// ──────────────────────────────────────────────────────────────────────────────
+
+function showStatus() {
+    const outputFormat = getOutputFormat();
+    const source = loadSource();
+    const analyses = getEnabledLanguages().map(({ code, name }) => analyzeLanguage(source, code, name));
+
+    if (outputFormat !== 'text') {
+        printMachineReport('status', source, analyses, outputFormat);
+        return;
+    }
+
+    console.log();
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION STATUS v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    console.log(`Source: ${source.sourceFile} (${source.entries.size} keys)`);
+    console.log(`Format: ${source.format}${source.format === 'elements' ? ' (hash-enabled)' : ''}`);
+    console.log();
+
+    console.log("Language            | Translated |  Stale  | Untranslated | Missing | Dups | Orphaned");
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────");
+
+    for (const a of analyses) {
+        if (!a.exists) {
+            console.log(`${a.name.padEnd(20)}|    N/A     |   N/A   |     N/A      |   N/A   |  N/A |    N/A`);
+            continue;
+        }
+
+        // v3.2.0: Show format errors prominently
+        const formatErrs = a.formatErrors.length;
+        const fmtStr = formatErrs > 0 ? ` 🔴${formatErrs}` : '';
+        const parseStr = a.parseErrors.length > 0 ? ` ⚠${a.parseErrors.length}` : '';
+        console.log(`${a.name.padEnd(20)}| ${String(a.translated).padStart(10)} | ${String(a.stale.length).padStart(7)} | ${String(a.untranslated.length).padStart(12)} | ${String(a.missing.length).padStart(7)} | ${String(a.duplicates.length).padStart(4)} | ${String(a.orphaned.length).padStart(8)}${fmtStr}${parseStr}`);
+    }
+
+    console.log("──────────────────────────────────────────────────────────────────────────────────────────");
+    console.log("🔴 = Format specifier errors (CRITICAL - will crash game!)");
+    if (analyses.some(a => a.parseErrors.length > 0)) {
+        console.log("⚠  = Unparseable entries (ignored until fixed - run 'check' for line numbers)");
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// REPORT Command
+// ──────────────────────────────────────────────────────────────────────────────
+
+function generateReport() {
+    const outputFormat = getOutputFormat();
+    const source = loadSource();
+    const analyses = getEnabledLanguages().map(({ code, name }) => analyzeLanguage(source, code, name));
+
+    // Old English the snapshot store lacks, from the history of the source file
+    const useGit = hasFlag('git');
+    if (useGit) {
+        const stale = analyses.flatMap(a => a.stale).filter(s => s.oldEnglish === undefined);
+        const fromGit = findSnapshotsInGit(source.sourceFile, new Set(stale.map(s => s.oldHash)));
+        for (const item of stale) {
+            if (fromGit.has(item.oldHash)) item.oldEnglish = fromGit.get(item.oldHash);
+        }
+    }
+
+    if (outputFormat !== 'text') {
+        printMachineReport('report', source, analyses, outputFormat);
+        return;
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION DETAILED REPORT v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    console.log(`Source: ${source.sourceFile} (${source.entries.size} keys)\n`);
+
+    for (const a of analyses) {
+        const { code: langCode, name: langName, missing, stale, untranslated, duplicates, orphaned } = a;
+
+        if (!a.exists) {
+            console.log(`${langName} (${langCode.toUpperCase()}): FILE NOT FOUND\n`);
+            continue;
+        }
+
+        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+        console.log(`${langName} (${langCode.toUpperCase()})`);
+        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+        console.log(`  Translated:    ${a.translated}`);
+        console.log(`  Missing:       ${missing.length}`);
+        console.log(`  Stale:         ${stale.length}`);
+        console.log(`  Untranslated:  ${untranslated.length}`);
+        console.log(`  Duplicates:    ${duplicates.length}`);
+        console.log(`  Orphaned:      ${orphaned.length}`);
+        if (a.parseErrors.length > 0) {
+            console.log(`  Unparseable:   ${a.parseErrors.length}`);
+        }
+        if (a.markupIssues.length > 0) {
+            console.log(`  Markup:        ${a.markupIssues.length}`);
+        }
+        if (a.lengthViolations.length + a.doNotTranslate.length > 0) {
+            console.log(`  Over max / nt: ${a.lengthViolations.length} / ${a.doNotTranslate.length}`);
+        }
+        if (a.machineTranslated.length > 0) {
+            console.log(`  Machine (mt):  ${a.machineTranslated.length}`);
+        }
+
+        if (a.parseErrors.length > 0) {
+            console.log(`\n  ── UNPARSEABLE (ignored until the XML is fixed) ──`);
+            for (const err of a.parseErrors) {
+                console.log(`    ⚠ line ${err.line}: ${err.message}`);
+            }
+        }
+
+        if (missing.length > 0) {
+            console.log(`\n  ── MISSING KEYS ──`);
+            for (const key of missing.slice(0, 10)) {
+                console.log(`    - ${key}`);
+            }
+            if (missing.length > 10) {
+                console.log(`    ... and ${missing.length - 10} more`);
+            }
+        }
+
+        if (stale.length > 0) {
+            console.log(`\n  ── STALE (English changed since translation) ──`);
+            for (const { key, oldHash, newHash, oldEnglish } of stale.slice(0, 10)) {
+                console.log(`    ~ ${key}  (${oldHash} → ${newHash})`);
+                // v3.23.0: The English it was translated from, and what changed
+                if (oldEnglish === undefined) {
+                    console.log(`        was: ? (not in ${CONFIG.snapshotFile}${useGit ? ' or git history' : ' - try report --git'})`);
+                    continue;
+                }
+                const english = source.entries.get(key).value;
+                console.log(`        was:  ${oldEnglish}`);
+                console.log(`        now:  ${english}`);
+                console.log(`        diff: ${wordDiff(oldEnglish, english)}`);
+            }
+            if (stale.length > 10) {
+                console.log(`    ... and ${stale.length - 10} more`);
+            }
+        }
+
+        if (untranslated.length > 0 && untranslated.length <= 10) {
+            console.log(`\n  ── UNTRANSLATED ──`);
+            for (const { key, reason } of untranslated) {
+                console.log(`    ? ${key}  (${reason})`);
+            }
+        } else if (untranslated.length > 10) {
+            console.log(`\n  ── UNTRANSLATED (showing first 10) ──`);
+            for (const { key, reason } of untranslated.slice(0, 10)) {
+                console.log(`    ? ${key}  (${reason})`);
+            }
+            console.log(`    ... and ${untranslated.length - 10} more`);
+        }
+
+        if (duplicates.length > 0 && duplicates.length <= 10) {
+            console.log(`\n  ── DUPLICATES (same key appears twice - remove one!) ──`);
+            for (const key of duplicates) {
+                console.log(`    !! ${key}`);
+            }
+        } else if (duplicates.length > 10) {
+            console.log(`\n  ── DUPLICATES (showing first 10) ──`);
+            for (const key of duplicates.slice(0, 10)) {
+                console.log(`    !! ${key}`);
+            }
+            console.log(`    ... and ${duplicates.length - 10} more`);
+        }
+
+        if (orphaned.length > 0 && orphaned.length <= 10) {
+            console.log(`\n  ── ORPHANED (not in English - safe to delete) ──`);
+            for (const key of orphaned) {
+                console.log(`    x ${key}`);
+            }
+        } else if (orphaned.length > 10) {
+            console.log(`\n  ── ORPHANED (showing first 10) ──`);
+            for (const key of orphaned.slice(0, 10)) {
+                console.log(`    x ${key}`);
+            }
+            console.log(`    ... and ${orphaned.length - 10} more`);
+        }
+
+        if (a.lengthViolations.length + a.doNotTranslate.length > 0) {
+            console.log(`\n  ── METADATA (max= budget, nt= do not translate) ──`);
+            for (const { key, message } of [...a.lengthViolations, ...a.doNotTranslate]) {
+                console.log(`    ✖ ${key}: ${message}`);
+            }
+        }
+
+        if (a.markupIssues.length > 0) {
+            console.log(`\n  ── MARKUP (${SEVERITY_ICONS.error} error, ${SEVERITY_ICONS.warning} warning, ${SEVERITY_ICONS.note} note) ──`);
+            for (const { key, severity, message } of sortBySeverity(a.markupIssues)) {
+                console.log(`    ${SEVERITY_ICONS[severity]} ${key}: ${message}`);
+            }
+        }
+
+        if (a.machineTranslated.length > 0) {
+            console.log(`\n  ── MACHINE-TRANSLATED (mt="1" - needs review) ──`);
+            for (const key of a.machineTranslated.slice(0, 10)) {
+                console.log(`    ≈ ${key}`);
+            }
+            if (a.machineTranslated.length > 10) {
+                console.log(`    ... and ${a.machineTranslated.length - 10} more`);
+            }
+        }
+
+        console.log();
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// VALIDATE Command (CI-friendly)
+// ──────────────────────────────────────────────────────────────────────────────
+
+function validateSync() {
+    const outputFormat = getOutputFormat();
+    const source = loadSource();
+    const analyses = getEnabledLanguages().map(({ code, name }) => analyzeLanguage(source, code, name));
+    const failing = analyses.filter(a => !a.exists || a.missing.length > 0 || a.parseErrors.length > 0);
+    const ok = failing.length === 0;
+    // exitCode rather than exit(): large reports must finish flushing to a pipe
+    process.exitCode = ok ? 0 : 1;
+
+    if (outputFormat !== 'text') {
+        printMachineReport('validate', source, analyses, outputFormat, ok);
+        return;
+    }
+
+    if (ok) {
+        console.log("OK: All translation files have required keys");
+        return;
+    }
+
+    console.log("FAIL: Translation files out of sync");
+    for (const a of failing) {
+        const problems = !a.exists ? ['file not found'] : [
+            a.missing.length > 0 ? `${a.missing.length} missing` : null,
+            a.parseErrors.length > 0 ? `${a.parseErrors.length} unparseable` : null
+        ].filter(Boolean);
+        console.log(`  ${a.name.padEnd(18)}: ${problems.join(', ')}`);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// PRUNE Command
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Find every entry in a parsed file with its full line span, so entries
+ * can be removed without leaving blank lines behind.
+ * Returns [{ key, value, hash, start, end }] in file order.
+ */
+function findEntryLines(parsed) {
+    const content = parsed.rawContent;
+
+    return parsed.spans.map(({ key, value, hash, token }) => {
+        let start = token.start;
+        let end = token.end;
+
+        // Widen to the whole line when the entry sits on a line of its own
+        const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+        const lineEndMatch = /^[ \t]*(?:\r?\n|$)/.exec(content.substring(end));
+        if (/^[ \t]*$/.test(content.substring(lineStart, start)) && lineEndMatch) {
+            start = lineStart;
+            end += lineEndMatch[0].length;
+        }
+
+        return { key, value, hash, start, end };
+    });
+}
+
+/**
+ * Pick which of several duplicate entries to keep: one whose hash matches
+ * English and is translated, then any whose hash matches, then the last one
+ * (the one the other commands already read, since later entries win).
+ */
+function chooseDuplicateToKeep(occurrences, sourceHash) {
+    const matching = occurrences.filter(o => o.hash === sourceHash);
+    const translated = matching.filter(o => !o.value.startsWith(CONFIG.untranslatedPrefix));
+    if (translated.length > 0) return translated[translated.length - 1];
+    if (matching.length > 0) return matching[matching.length - 1];
+    return occurrences[occurrences.length - 1];
+}
+
+function pruneTranslations() {
+    const dryRun = hasFlag('dry-run');
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION PRUNE v${VERSION}${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    let totalRemoved = 0;
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        const parsed = parseTranslationFile(langFile, source.format);
+        const lines = findEntryLines(parsed);
+
+        const byKey = new Map();
+        for (const line of lines) {
+            if (!byKey.has(line.key)) byKey.set(line.key, []);
+            byKey.get(line.key).push(line);
+        }
+
+        const removals = [];
+        for (const [key, occurrences] of byKey) {
+            if (isIgnoredKey(key)) continue;
+            if (!source.entries.has(key)) {
+                for (const o of occurrences) removals.push({ ...o, reason: 'orphaned' });
+            } else if (occurrences.length > 1) {
+                const keep = chooseDuplicateToKeep(occurrences, source.hashes.get(key));
+                for (const o of occurrences) {
+                    if (o !== keep) removals.push({ ...o, reason: 'duplicate' });
+                }
+            }
+        }
+
+        if (removals.length === 0) {
+            console.log(`  ${langName.padEnd(18)}: ✓ nothing to prune`);
+            continue;
+        }
+
+        const orphanCount = removals.filter(r => r.reason === 'orphaned').length;
+        const duplicateCount = removals.length - orphanCount;
+        console.log(`  ${langName.padEnd(18)}: ${dryRun ? 'would remove' : 'removed'} ${orphanCount} orphaned, ${duplicateCount} duplicate`);
+        for (const r of removals.sort((a, b) => a.start - b.start)) {
+            const symbol = r.reason === 'orphaned' ? 'x' : '!!';
+            console.log(`    ${symbol} ${r.key}  "${r.value.substring(0, 40)}"`);
+        }
+
+        if (!dryRun) {
+            const edits = removals.map(r => ({ start: r.start, end: r.end, text: '' }));
+            fs.writeFileSync(langFile, applyEdits(parsed.rawContent, edits), 'utf8');
+        }
+
+        totalRemoved += removals.length;
+    }
+
+    console.log();
+    if (totalRemoved === 0) {
+        console.log("All language files are clean.");
+    } else if (dryRun) {
+        console.log(`${totalRemoved} entries would be removed. Run without --dry-run to apply.`);
+    } else {
+        console.log(`${totalRemoved} entries removed.`);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// MIGRATE-ENTITIES Command (v3.11.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+const ENTITY_TEXT_PATTERN = /&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/i;
+
+/**
+ * Undo double escaping: decode again while the (already decoded) value still
+ * contains entity text that its English value doesn't, e.g. "&amp;amp;"
+ */
+function repairDoubleEscaping(value, english) {
+    let repaired = value;
+    while (ENTITY_TEXT_PATTERN.test(repaired) && !ENTITY_TEXT_PATTERN.test(english)) {
+        repaired = unescapeXml(repaired);
+    }
+    return repaired;
+}
+
+/**
+ * Before v3.11.0 values were hashed as written in the XML (still escaped) and
+ * new [EN] placeholders were escaped twice. This rebases eh= from the legacy
+ * hash to the plain-text hash - in English and in every entry translated from
+ * the current English text - and repairs double-escaped values.
+ */
+function migrateEntities() {
+    const dryRun = hasFlag('dry-run');
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION ENTITY MIGRATION v${VERSION}${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    const names = getFormatNames(source.format);
+
+    // Only keys whose English text contains entities hash differently now
+    const legacyHashes = new Map();
+    if (source.format === 'elements') {
+        for (const span of parseTranslationFile(source.sourceFile, source.format).spans) {
+            if (span.rawValue !== span.value) {
+                legacyHashes.set(span.key, getHash(span.rawValue));
+            }
+        }
+    }
+
+    const files = [
+        { file: source.sourceFile, name: 'English (source)', isSource: true },
+        ...getSelectedLanguages().map(({ code, name }) => ({ file: getLangFilePath(source.filePrefix, code), name, isSource: false }))
+    ];
+
+    let totalRehashed = 0;
+    let totalRepaired = 0;
+
+    for (const { file, name, isSource } of files) {
+        if (!fs.existsSync(file)) {
+            console.log(`  ${name.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        const parsed = parseTranslationFile(file, source.format);
+        const edits = [];
+        const repairs = [];
+        let rehashed = 0;
+
+        for (const span of parsed.spans) {
+            const newHash = source.hashes.get(span.key);
+            if (legacyHashes.has(span.key) && span.hash === legacyHashes.get(span.key) && span.hash !== newHash) {
+                edits.push(attributeEdit(span.token, 'eh', newHash, names.valueAttr));
+                rehashed++;
+            }
+
+            if (!isSource && source.entries.has(span.key)) {
+                const repaired = repairDoubleEscaping(span.value, source.entries.get(span.key).value);
+                if (repaired !== span.value) {
+                    edits.push(attributeEdit(span.token, names.valueAttr, escapeXml(repaired)));
+                    repairs.push({ key: span.key, before: span.value, after: repaired });
+                }
+            }
+        }
+
+        if (edits.length === 0) {
+            console.log(`  ${name.padEnd(18)}: ✓ nothing to migrate`);
+            continue;
+        }
+
+        console.log(`  ${name.padEnd(18)}: ${dryRun ? 'would rehash' : 'rehashed'} ${rehashed}, ${dryRun ? 'would repair' : 'repaired'} ${repairs.length}`);
+        for (const { key, before, after } of repairs) {
+            console.log(`    ~ ${key}  "${before.substring(0, 30)}" → "${after.substring(0, 30)}"`);
+        }
+
+        if (!dryRun) {
+            fs.writeFileSync(file, applyEdits(parsed.rawContent, edits), 'utf8');
+        }
+
+        totalRehashed += rehashed;
+        totalRepaired += repairs.length;
+    }
+
+    console.log();
+    if (totalRehashed === 0 && totalRepaired === 0) {
+        console.log("Nothing to migrate - all hashes and values use the plain-text model.");
+    } else if (dryRun) {
+        console.log(`${totalRehashed} hash(es) would be rebased, ${totalRepaired} value(s) repaired. Run without --dry-run to apply.`);
+    } else {
+        console.log(`${totalRehashed} hash(es) rebased, ${totalRepaired} value(s) repaired.`);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// NORMALIZE Command - Mirror the English Layout (v3.26.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Opening and closing container tag tokens ({ open, close }), or null
+ */
+function findContainerTokens(content, format) {
+    const { container } = getFormatNames(format);
+    const { tokens } = tokenizeXml(content);
+    const open = tokens.find(t => t.type === 'open' && t.name === container);
+    const close = open && tokens.find(t => t.type === 'close' && t.name === container && t.start > open.start);
+    return open && close ? { open, close } : null;
+}
+
+/**
+ * How many entries have to move to turn one key order into the other:
+ * everything outside the longest run of keys already in relative order
+ */
+function countMovedKeys(oldOrder, newOrder) {
+    const oldIndex = new Map(oldOrder.map((key, i) => [key, i]));
+    const positions = newOrder.filter(key => oldIndex.has(key)).map(key => oldIndex.get(key));
+
+    // Longest increasing subsequence, O(n log n)
+    const tails = [];
+    for (const position of positions) {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (tails[mid] < position) low = mid + 1; else high = mid;
+        }
+        tails[low] = position;
+    }
+    return positions.length - tails.length;
+}
+
+/**
+ * Rebuild a language file on the English layout. Everything between the
+ * container tags - key order, section comments, blank lines, indentation -
+ * comes from English, with each English entry replaced by the language's
+ * own entry exactly as written (value, eh= and extra attributes untouched).
+ * The prolog and header comment before the container stay the language's.
+ * Keys the language lacks are left out for sync to add; duplicates stay
+ * together and keys English doesn't have go last, for prune to judge.
+ * Returns { content, moved, missing, orphaned } or { error }.
+ */
+function normalizeLanguageContent(sourceParsed, sourceContainer, parsed, format) {
+    const content = parsed.rawContent;
+    const english = sourceParsed.rawContent;
+    const container = findContainerTokens(content, format);
+    if (!container) {
+        return { error: `no <${getFormatNames(format).container}> element` };
+    }
+    if (parsed.errors.length > 0) {
+        return { error: `${parsed.errors.length} unreadable line(s) would be lost - fix them by hand first` };
+    }
+
+    const entryText = span => content.substring(span.token.start, span.token.end);
+    const edits = [
+        { start: 0, end: sourceContainer.open.end, text: content.substring(0, container.open.end) },
+        { start: sourceContainer.close.start, end: english.length, text: content.substring(container.close.start) }
+    ];
+
+    const lines = findEntryLines(sourceParsed);
+    const placed = new Set();
+    const missing = new Set();
+    sourceParsed.spans.forEach((span, i) => {
+        const langSpans = parsed.spansByKey.get(span.key);
+        if (!langSpans || placed.has(span.key)) {
+            if (!langSpans) missing.add(span.key);
+            edits.push({ start: lines[i].start, end: lines[i].end, text: '' });
+            return;
+        }
+        placed.add(span.key);
+        const indent = getLineIndent(english, span.token.start);
+        edits.push({ start: span.token.start, end: span.token.end, text: langSpans.map(entryText).join(`\n${indent}`) });
+    });
+
+    const orphaned = parsed.spans.filter(span => !sourceParsed.spansByKey.has(span.key));
+    if (orphaned.length > 0) {
+        const close = sourceContainer.close.start;
+        const lineStart = english.lastIndexOf('\n', close - 1) + 1;
+        const indent = sourceParsed.spans.length > 0
+            ? getLineIndent(english, sourceParsed.spans[0].token.start)
+            : getLineIndent(english, close) + '    ';
+        const text = orphaned.map(span => `${indent}${entryText(span)}`);
+        edits.push(/^[ \t]*$/.test(english.substring(lineStart, close))
+            ? { start: lineStart, end: lineStart, text: text.map(line => `${line}\n`).join('') }
+            : { start: close, end: close, text: text.map(line => `\n${line}`).join('') + '\n' });
+    }
+
+    // Keep the language file's line endings
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const normalized = applyEdits(english, edits).replace(/\r?\n/g, eol);
+    const newOrder = [...placed, ...orphaned.map(span => span.key)];
+
+    return {
+        content: normalized,
+        moved: countMovedKeys([...new Set(parsed.orderedKeys)], newOrder),
+        missing: missing.size,
+        orphaned: orphaned.length
+    };
+}
+
+function normalizeTranslations() {
+    const showDiff = hasFlag('diff');
+    const dryRun = hasFlag('dry-run') || showDiff;
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION NORMALIZE v${VERSION}${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    const sourceParsed = parseTranslationFile(source.sourceFile, source.format);
+    const sourceContainer = findContainerTokens(sourceParsed.rawContent, source.format);
+    if (!sourceContainer) {
+        throw new Error(`${source.sourceFile} has no <${getFormatNames(source.format).container}> element`);
+    }
+    if (sourceParsed.errors.length > 0) {
+        throw new Error(`${source.sourceFile} has unreadable lines, which would be copied into every language - fix them first`);
+    }
+
+    const diffs = [];
+    let filesChanged = 0;
+    let skipped = 0;
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        const parsed = parseTranslationFile(langFile, source.format);
+        const result = normalizeLanguageContent(sourceParsed, sourceContainer, parsed, source.format);
+        if (result.error) {
+            console.log(`  ${langName.padEnd(18)}: SKIPPED - ${result.error}`);
+            skipped++;
+            continue;
+        }
+        if (result.content === parsed.rawContent) {
+            console.log(`  ${langName.padEnd(18)}: ✓ already matches English`);
+            continue;
+        }
+
+        const notes = [result.moved > 0 ? `${result.moved} entr${result.moved === 1 ? 'y' : 'ies'} moved` : 'comments and spacing only'];
+        if (result.missing > 0) notes.push(`${result.missing} missing (sync adds them)`);
+        if (result.orphaned > 0) notes.push(`${result.orphaned} not in English kept last (prune removes them)`);
+        console.log(`  ${langName.padEnd(18)}: ${dryRun ? 'would rewrite' : 'rewritten'} - ${notes.join(', ')}`);
+
+        if (showDiff) diffs.push(unifiedDiff(parsed.rawContent, result.content, langFile));
+        if (!dryRun) fs.writeFileSync(langFile, result.content, 'utf8');
+        filesChanged++;
+    }
+
+    if (showDiff) {
+        console.log();
+        for (const diff of diffs) {
+            process.stdout.write(diff);
+        }
+    }
+
+    console.log();
+    if (filesChanged === 0) {
+        console.log("Every language file already follows the English order and sections.");
+    } else if (dryRun) {
+        console.log(`${filesChanged} file(s) would be rewritten.${showDiff ? '' : " Run with --diff to see the changes."}`);
+    } else {
+        console.log(`${filesChanged} file(s) rewritten in English order with its section comments.`);
+    }
+    if (skipped > 0) {
+        console.log(`${skipped} file(s) skipped - see above.`);
+        process.exitCode = 1;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SUGGEST Command - Translation Memory (v3.12.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Index a language's usable translations by English hash: entries that are
+ * not [EN] placeholders, not stale, not unreviewed machine translations
+ * (mt="1") and actually differ from English. Returns Map<hash, [{ key, value }]>.
+ */
+function buildTranslationMemory(source, langEntries) {
+    const memory = new Map();
+
+    for (const [key, langData] of langEntries) {
+        const sourceData = source.entries.get(key);
+        if (!sourceData) continue;
+
+        const hash = source.hashes.get(key);
+        if (langData.value.startsWith(CONFIG.untranslatedPrefix)) continue;
+        if (langData.machineTranslated) continue;
+        if (langData.hash && langData.hash !== hash) continue;
+        if (langData.value === sourceData.value || langData.value.trim() === '') continue;
+
+        if (!memory.has(hash)) memory.set(hash, []);
+        memory.get(hash).push({ key, value: langData.value });
+    }
+
+    return memory;
+}
+
+/**
+ * Suggest a value for every missing or [EN] entry from keys with the same
+ * English text. When translations disagree, the most common one wins.
+ * Returns [{ key, value, hash, from, alternatives }] in source order.
+ */
+function findSuggestions(source, langEntries) {
+    const memory = buildTranslationMemory(source, langEntries);
+    const suggestions = [];
+
+    for (const { key, status } of collectPendingEntries(source, langEntries)) {
+        if (status === 'stale') continue;
+
+        const hash = source.hashes.get(key);
+        const candidates = (memory.get(hash) || []).filter(c => c.key !== key);
+        if (candidates.length === 0) continue;
+
+        const counts = new Map();
+        for (const { value } of candidates) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        const [value] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        const from = candidates.find(c => c.value === value).key;
+
+        suggestions.push({ key, value, hash, from, alternatives: counts.size - 1 });
+    }
+
+    return suggestions;
+}
+
+function suggestTranslations() {
+    const apply = hasFlag('apply');
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION MEMORY SUGGESTIONS v${VERSION}${apply ? '' : ' (preview - use --apply to write)'}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    let totalSuggestions = 0;
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const suggestions = findSuggestions(source, langEntries);
+        totalSuggestions += suggestions.length;
+
+        if (suggestions.length === 0) {
+            console.log(`  ${langName.padEnd(18)}: no suggestions`);
+            continue;
+        }
+
+        if (apply) {
+            const result = applyTranslations(source, langCode, suggestions.map(({ key, value, hash }) => ({ key, value, hash })));
+            printApplyResult(langName, result);
+            continue;
+        }
+
+        console.log(`  ${langName.padEnd(18)}: ${suggestions.length} suggestion(s)`);
+        for (const { key, value, from, alternatives } of suggestions) {
+            const others = alternatives > 0 ? ` (+${alternatives} other translation${alternatives === 1 ? '' : 's'})` : '';
+            console.log(`    ${key} ← "${value.substring(0, 50)}"  [from ${from}]${others}`);
+        }
+    }
+
+    console.log();
+    if (totalSuggestions === 0) {
+        console.log("No suggestions - no missing or [EN] entry shares its English text with a translated key.");
+    } else if (!apply) {
+        console.log(`${totalSuggestions} suggestion(s). Review them, then run with --apply to write.`);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// TRANSLATE Command - Machine Translation (v3.13.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// LibreTranslate codes that aren't the language subtag of the registry's
+// BCP 47 tag (zh-Hans is plain "zh", but zh-Hant and pt-BR have their own)
+const LIBRETRANSLATE_CODES = { 'pt-BR': 'pb', 'zh-Hant': 'zt' };
+
+/**
+ * LibreTranslate's code for an FS25 language code (cz → cs, jp → ja, ...)
+ */
+function getLibreTranslateCode(langCode) {
+    const language = getLanguage(langCode);
+    if (!language) return langCode;
+    return LIBRETRANSLATE_CODES[language.iso] || language.iso.split('-')[0];
+}
+
+// Strings per provider request
+const MT_BATCH_SIZE = 25;
+
+// Format specifiers plus "%%", so the provider can't reword or reorder them
+const SHIELD_PATTERN = new RegExp(`%%|${FORMAT_SPECIFIER_PATTERN.source}`, 'g');
+
+/**
+ * Replace format specifiers with numbered {{n}} placeholders.
+ * Returns { text, tokens }. Given tokens (from the English text), equal
+ * specifiers reuse their numbers, so a translation can be shielded to match.
+ */
+function shieldFormatSpecifiers(text, knownTokens = null) {
+    const tokens = knownTokens ? [...knownTokens] : [];
+    const used = new Set();
+
+    const shielded = text.replace(SHIELD_PATTERN, spec => {
+        let index = tokens.findIndex((token, i) => token === spec && !used.has(i));
+        if (index === -1) {
+            if (knownTokens) return spec;
+            tokens.push(spec);
+            index = tokens.length - 1;
+        }
+        used.add(index);
+        return `{{${index}}}`;
+    });
+
+    return { text: shielded, tokens };
+}
+
+/**
+ * Put specifiers back. Returns null if a placeholder was lost or duplicated.
+ */
+function unshieldFormatSpecifiers(text, tokens) {
+    const used = new Set();
+    let valid = true;
+
+    const restored = text.replace(/\{\{\s*(\d+)\s*\}\}/g, (match, number) => {
+        const index = Number(number);
+        if (index >= tokens.length || used.has(index)) {
+            valid = false;
+            return match;
+        }
+        used.add(index);
+        return tokens[index];
+    });
+
+    return valid && used.size === tokens.length ? restored : null;
+}
+
+/**
+ * POST a JSON body and resolve with the parsed JSON response
+ */
+function postJson(url, body) {
+    const client = url.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+            timeout: 60000
+        }, response => {
+            let data = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (err) {
+                    reject(new Error(`${url.href}: HTTP ${response.statusCode}, response is not JSON`));
+                    return;
+                }
+                if (response.statusCode >= 400) {
+                    reject(new Error(`${url.href}: HTTP ${response.statusCode}${parsed.error ? ` - ${parsed.error}` : ''}`));
+                    return;
+                }
+                resolve(parsed);
+            });
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`${url.href}: request timed out`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+/**
+ * HTTP provider speaking LibreTranslate's POST /translate
+ * ({ q: [...], source, target, format } → { translatedText: [...] }).
+ * --url (or LIBRETRANSLATE_URL) points at the server; a local mock works too.
+ */
+function createLibreTranslateProvider() {
+    const baseUrl = getOption('url') || process.env.LIBRETRANSLATE_URL || 'http://localhost:5000';
+    const apiKey = getOption('api-key') || process.env.LIBRETRANSLATE_API_KEY || null;
+    const url = new URL('translate', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+
+    return {
+        name: 'libretranslate',
+        async translate(texts, langCode) {
+            const body = { q: texts, source: getLibreTranslateCode(CONFIG.sourceLanguage), target: getLibreTranslateCode(langCode), format: 'text' };
+            if (apiKey) body.api_key = apiKey;
+
+            const response = await postJson(url, body);
+            const translated = [].concat(response.translatedText);
+            if (translated.length !== texts.length) {
+                throw new Error(`${url.href}: sent ${texts.length} strings, got ${translated.length} back`);
+            }
+            return translated;
+        }
+    };
+}
+
+/**
+ * Offline provider: a JSON file mapping English text to translations, flat
+ * ({ "Cancel": "Abbrechen" }) or per language ({ "de": { ... } }).
+ * Text not in the file comes back as null and is skipped.
+ */
+function createDictionaryProvider() {
+    const dictFile = getOption('dict');
+    if (!dictFile) {
+        throw new Error('The dictionary provider needs --dict <file.json>');
+    }
+    const dictionary = JSON.parse(fs.readFileSync(resolveUserPath(dictFile), 'utf8'));
+    const perLanguage = Object.values(dictionary).every(value => value !== null && typeof value === 'object');
+
+    return {
+        name: 'dictionary',
+        async translate(texts, langCode) {
+            const table = perLanguage ? (dictionary[langCode] || {}) : dictionary;
+
+            // Shield the file's own text the same way, so lookups match the request
+            const lookup = new Map();
+            for (const [english, translation] of Object.entries(table)) {
+                const shieldedEnglish = shieldFormatSpecifiers(english);
+                lookup.set(shieldedEnglish.text, shieldFormatSpecifiers(translation, shieldedEnglish.tokens).text);
+            }
+
+            return texts.map(text => lookup.has(text) ? lookup.get(text) : null);
+        }
+    };
+}
+
+const MT_PROVIDERS = {
+    libretranslate: createLibreTranslateProvider,
+    dictionary: createDictionaryProvider
+};
+
+/**
+ * Create a built-in provider by name, or load a module exporting
+ * translate(texts, langCode) → Promise<(string|null)[]>
+ */
+function loadProvider(name) {
+    if (MT_PROVIDERS[name]) return MT_PROVIDERS[name]();
+
+    const modulePath = resolveUserPath(name);
+    if (fs.existsSync(modulePath)) {
+        const provider = require(modulePath);
+        if (typeof provider.translate === 'function') return provider;
+        throw new Error(`${name} does not export a translate(texts, langCode) function`);
+    }
+
+    throw new Error(`Unknown provider "${name}" (expected ${Object.keys(MT_PROVIDERS).join(', ')} or a module path)`);
+}
+
+async function machineTranslate() {
+    const dryRun = hasFlag('dry-run');
+    const providerName = getOption('provider');
+    if (!getOption('lang') || !providerName) {
+        throw new Error('Usage: node translation_sync.js translate --lang xx --provider <libretranslate|dictionary|module.js>');
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`MACHINE TRANSLATION v${VERSION}${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    const provider = loadProvider(providerName);
+    console.log(`Provider: ${provider.name || providerName}\n`);
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
+
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const pending = collectPendingEntries(source, langEntries).filter(entry => entry.status !== 'stale');
+        if (pending.length === 0) {
+            console.log(`  ${langName.padEnd(18)}: nothing to translate`);
+            continue;
+        }
+
+        const shielded = pending.map(entry => shieldFormatSpecifiers(entry.english));
+        const results = [];
+        for (let i = 0; i < shielded.length; i += MT_BATCH_SIZE) {
+            const batch = shielded.slice(i, i + MT_BATCH_SIZE).map(s => s.text);
+            results.push(...await provider.translate(batch, langCode));
+        }
+
+        const updates = [];
+        const skipped = [];
+        const rejected = [];
+        pending.forEach(({ key, english }, i) => {
+            if (results[i] === null || results[i] === undefined || results[i].trim() === '') {
+                skipped.push({ key, reason: 'no translation from provider' });
+                return;
+            }
+
+            const value = unshieldFormatSpecifiers(results[i], shielded[i].tokens);
+            const issue = value === null
+                ? { message: 'provider lost or duplicated a format specifier placeholder' }
+                : checkFormatSpecifiers(english, value, key);
+            if (issue) {
+                rejected.push({ key, reason: issue.message });
+                return;
+            }
+
+            updates.push({ key, value, hash: source.hashes.get(key), machineTranslated: true });
+        });
+
+        const result = applyTranslations(source, langCode, updates, dryRun);
+        result.skipped.push(...skipped);
+        result.rejected.push(...rejected);
+        printApplyResult(langName, result);
+
+        if (dryRun) {
+            for (const { key, value } of updates.filter(u => result.applied.some(a => a.key === u.key))) {
+                console.log(`    ${key} ← "${value.substring(0, 50)}"`);
+            }
+        }
+    }
+
+    console.log();
+    console.log(`Written entries carry mt="1" until a reviewer re-imports or edits them.`);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// GLOSSARY Command (v3.14.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Find translations whose English contains a glossary term but which don't
+ * use its required rendering. Renderings may be a string or a list of
+ * accepted forms, per language code or '*' for all; matching ignores case
+ * and English plurals (-s, -es) count as the term. A term with "keys"
+ * (patterns with * wildcards) only applies to those keys, for words like
+ * "Good" that are domain terms in one place and plain English elsewhere.
+ * "[EN] " entries are skipped (they're reported as untranslated already).
+ * Returns [{ key, term, expected, message }] in source order.
+ */
+function findGlossaryViolations(source, langCode, langEntries) {
+    const rules = [];
+    for (const [term, renderings] of Object.entries(loadGlossary().terms)) {
+        const required = renderings[langCode] || renderings['*'];
+        if (!required) continue;
+        rules.push({
+            term,
+            expected: [].concat(required),
+            keys: renderings.keys ? [].concat(renderings.keys).map(keyPatternToRegex) : null,
+            pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}(?:e?s)?($|[^\\p{L}\\p{N}])`, 'iu')
+        });
+    }
+
+    const violations = [];
+    if (rules.length === 0) return violations;
+
+    for (const key of source.orderedKeys) {
+        const langData = langEntries.get(key);
+        if (!langData || langData.value.startsWith(CONFIG.untranslatedPrefix) || isIgnoredKey(key)) continue;
+
+        const english = source.entries.get(key).value;
+        const translation = langData.value.toLowerCase();
+        for (const { term, expected, keys, pattern } of rules) {
+            if (keys && !keys.some(regex => regex.test(key))) continue;
+            if (!pattern.test(english)) continue;
+            if (expected.some(rendering => translation.includes(rendering.toLowerCase()))) continue;
+
+            violations.push({
+                key,
+                term,
+                expected,
+                message: `"${term}" should be rendered as ${expected.map(r => `"${r}"`).join(' or ')}`
+            });
+        }
+    }
+
+    return violations;
+}
+
+function checkGlossary() {
+    const outputFormat = getOutputFormat();
+    const source = loadSource();
+    const analyses = getSelectedLanguages().map(({ code, name }) => analyzeLanguage(source, code, name));
+    const total = analyses.reduce((sum, a) => sum + a.glossaryViolations.length, 0);
+
+    if (outputFormat !== 'text') {
+        printMachineReport('glossary', source, analyses, outputFormat, total === 0);
+        process.exitCode = total === 0 ? 0 : 1;
+        return;
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION GLOSSARY CHECK v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const terms = Object.keys(loadGlossary().terms);
+    if (terms.length === 0) {
+        console.log(`No glossary terms defined (${CONFIG.glossaryFile}).`);
+        return;
+    }
+    console.log(`Glossary: ${CONFIG.glossaryFile} (${terms.length} terms)\n`);
+
+    for (const a of analyses) {
+        if (!a.exists) {
+            console.log(`  ${a.name.padEnd(18)}: FILE NOT FOUND`);
+            continue;
+        }
+        if (a.glossaryViolations.length === 0) {
+            console.log(`  ${a.name.padEnd(18)}: ✓ OK`);
+            continue;
+        }
+
+        console.log(`  ${a.name.padEnd(18)}: ${a.glossaryViolations.length} term(s) not rendered as required`);
+        for (const { key, message } of a.glossaryViolations) {
+            console.log(`    ≠ ${key}: ${message}`);
+        }
+    }
+
+    console.log();
+    if (total === 0) {
+        console.log("All translations use the glossary terms.");
+    } else {
+        console.log(`${total} glossary violation(s). Fix the translations, or add accepted forms to ${CONFIG.glossaryFile}.`);
+        process.exitCode = 1;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// GUI Command - Text Overflow Estimate (v3.16.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Approximate glyph advance as a fraction of the text size, first match wins.
+// Rough on purpose: the goal is catching a label that grew by half, not kerning.
+const GLYPH_WIDTHS = [
+    { pattern: /[ᄀ-ᇿ⺀-鿿가-힯豈-﫿＀-｠￠-￦]/u, width: 1.0 },  // CJK, kana, hangul, fullwidth
+    { pattern: /[\s.,:;'!|()[\]\-ilIjft1]/u, width: 0.3 },
+    { pattern: /[mwMW]/u, width: 0.85 },
+    { pattern: /\p{Lu}/u, width: 0.68 },
+    { pattern: /\p{Script=Cyrillic}|\p{Script=Greek}/u, width: 0.6 },
+    { pattern: /\d/u, width: 0.56 }
+];
+const DEFAULT_GLYPH_WIDTH = 0.52;
+const BOLD_WIDTH_FACTOR = 1.06;
+const LINE_HEIGHT_FACTOR = 1.2;
+
+// Profile/element properties that decide how much room a text gets
+const GUI_TEXT_PROPERTIES = ['size', 'textSize', 'textMaxWidth', 'textBold', 'textWrap'];
+
+/**
+ * Read a pixel value ("250px" or "250px 30px"); index picks the component.
+ * Returns null for anything else (normalized sizes, missing values).
+ */
+function parsePixels(value, index = 0) {
+    if (!value) return null;
+    const match = /^(-?\d+(?:\.\d+)?)px$/.exec(value.trim().split(/\s+/)[index] || '');
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Estimate the rendered width in pixels of the widest line of a value.
+ * Format specifiers count as four digits; \n starts a new line.
+ */
+function estimateTextWidth(value, textSize, bold) {
+    const printable = value
+        .replace(/%%/g, '%')
+        .replace(FORMAT_SPECIFIER_PATTERN, '0000');
+
+    let widest = 0;
+    for (const line of printable.split(/\\n|\n/)) {
+        let width = 0;
+        for (const char of line) {
+            const glyph = GLYPH_WIDTHS.find(g => g.pattern.test(char));
+            width += glyph ? glyph.width : DEFAULT_GLYPH_WIDTH;
+        }
+        widest = Math.max(widest, width);
+    }
+    return widest * textSize * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Scan gui/*.xml for text elements that use $l10n_ keys.
+ * Profiles are collected from every file (the game registers them globally)
+ * and resolved through their extends chain; attributes on the element win.
+ * Returns { usages: [{ key, file, line, profile, width, lines, textSize, bold }],
+ * unresolved: [{ key, file, line, profile }] } - unresolved elements use
+ * base-game profiles or normalized sizes, so their room is unknown.
+ */
+function scanGuiTexts(guiDir) {
+    const files = fs.readdirSync(guiDir).filter(f => f.toLowerCase().endsWith('.xml')).sort();
+    const profiles = new Map();
+    const elements = [];
+
+    for (const file of files) {
+        const content = fs.readFileSync(path.join(guiDir, file), 'utf8');
+        const { tokens } = tokenizeXml(content);
+        let profile = null;
+
+        for (const token of tokens) {
+            if (!token.attrs) continue;
+            const attrs = Object.fromEntries(token.attrs.map(a => [a.name, unescapeXml(a.value)]));
+
+            if (token.name === 'Profile') {
+                if (token.type === 'close') {
+                    profile = null;
+                } else if (attrs.name) {
+                    profile = { extends: attrs.extends, props: {} };
+                    profiles.set(attrs.name, profile);
+                    if (token.type === 'selfclose') profile = null;
+                }
+            } else if (profile) {
+                if (GUI_TEXT_PROPERTIES.includes(token.name) && attrs.value !== undefined) {
+                    profile.props[token.name] = attrs.value;
+                }
+            } else if (attrs.text && attrs.text.startsWith('$l10n_')) {
+                const own = {};
+                for (const name of GUI_TEXT_PROPERTIES) {
+                    if (attrs[name] !== undefined) own[name] = attrs[name];
+                }
+                elements.push({ key: attrs.text.substring('$l10n_'.length), file, line: token.line, profile: attrs.profile, own });
+            }
+        }
+    }
+
+    const resolveProfile = (name, seen = new Set()) => {
+        const found = profiles.get(name);
+        if (!found || seen.has(name)) return {};
+        seen.add(name);
+        return { ...resolveProfile(found.extends, seen), ...found.props };
+    };
+
+    const usages = [];
+    const unresolved = [];
+    for (const element of elements) {
+        const props = { ...resolveProfile(element.profile), ...element.own };
+        const textSize = parsePixels(props.textSize);
+        const width = parsePixels(props.textMaxWidth) || parsePixels(props.size);
+        const { key, file, line, profile } = element;
+
+        if (!textSize || !width) {
+            unresolved.push({ key, file, line, profile });
+            continue;
+        }
+
+        // Wrapping texts get as many lines as their height holds
+        const height = parsePixels(props.size, 1);
+        const lines = props.textWrap === 'true' && height
+            ? Math.max(1, Math.floor(height / (textSize * LINE_HEIGHT_FACTOR)))
+            : 1;
+
+        usages.push({ key, file, line, profile, width, lines, textSize, bold: props.textBold === 'true' });
+    }
+
+    return { usages, unresolved };
+}
+
+/**
+ * Compare each language's estimated width against the room its GUI
+ * elements give it. A text only counts as overflowing when the English
+ * fits, so elements that are sized for scrolling or auto-width stay quiet.
+ * Returns [{ key, file, line, estimated, available, growth, message }].
+ */
+function findGuiOverflows(source, usages, langEntries) {
+    const overflows = [];
+
+    for (const usage of usages) {
+        const sourceData = source.entries.get(usage.key);
+        const langData = langEntries.get(usage.key);
+        if (!sourceData || !langData || langData.value.startsWith(CONFIG.untranslatedPrefix)) continue;
+
+        const available = usage.width * usage.lines;
+        const englishWidth = estimateTextWidth(sourceData.value, usage.textSize, usage.bold);
+        const estimated = estimateTextWidth(langData.value, usage.textSize, usage.bold);
+        if (englishWidth > available || estimated <= available) continue;
+
+        const growth = englishWidth > 0 ? Math.round((estimated / englishWidth - 1) * 100) : 0;
+        overflows.push({
+            key: usage.key,
+            file: usage.file,
+            line: usage.line,
+            estimated: Math.round(estimated),
+            available: Math.round(available),
+            growth,
+            message: `~${Math.round(estimated)}px in ${Math.round(available)}px (${usage.file}:${usage.line}, ${growth >= 0 ? '+' : ''}${growth}% vs English)`
+        });
+    }
+
+    return overflows;
+}
+
+function checkGuiOverflow() {
+    const outputFormat = getOutputFormat();
+    const guiDir = getOption('gui') ? resolveUserPath(getOption('gui')) : CONFIG.guiDir;
+    if (!fs.existsSync(guiDir)) {
+        throw new Error(`GUI directory not found: ${guiDir}`);
+    }
+
+    const source = loadSource();
+    const { usages, unresolved } = scanGuiTexts(guiDir);
+    const analyses = getSelectedLanguages().map(({ code, name }) => {
+        const a = analyzeLanguage(source, code, name);
+        a.guiOverflows = a.exists ? findGuiOverflows(source, usages, parseTranslationFile(a.file, source.format).entries) : [];
+        return a;
+    });
+    const total = analyses.reduce((sum, a) => sum + a.guiOverflows.length, 0);
+
+    if (outputFormat !== 'text') {
+        printMachineReport('gui', source, analyses, outputFormat, total === 0);
+        process.exitCode = total === 0 ? 0 : 1;
+        return;
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION GUI OVERFLOW CHECK v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    console.log(`GUI: ${guiDir} (${usages.length} sized text elements, ${unresolved.length} without a known size)\n`);
+
+    for (const a of analyses) {
+        if (!a.exists) {
+            console.log(`  ${a.name.padEnd(18)}: FILE NOT FOUND`);
+            continue;
+        }
+        if (a.guiOverflows.length === 0) {
+            console.log(`  ${a.name.padEnd(18)}: ✓ OK`);
+            continue;
+        }
+
+        console.log(`  ${a.name.padEnd(18)}: ${a.guiOverflows.length} text(s) likely to clip`);
+        for (const { key, message } of a.guiOverflows.sort((x, y) => y.growth - x.growth)) {
+            console.log(`    ✂ ${key}: ${message}`);
+        }
+    }
+
+    console.log();
+    if (total === 0) {
+        console.log("No translation is estimated to overflow its GUI element.");
+    } else {
+        console.log(`${total} likely overflow(s). Shorten the translations, or widen the element/profile.`);
+        console.log("Widths are estimates from average glyph sizes - check in game before resizing.");
+        process.exitCode = 1;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// USAGE Command - Code Cross-Reference (v3.17.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Where keys are referenced, relative to the mod root
+const USAGE_SOURCES = [
+    { dir: 'src', extensions: ['.lua'], recursive: true },
+    { dir: 'vehicles', extensions: ['.lua', '.xml'], recursive: true },
+    { dir: 'placeables', extensions: ['.lua', '.xml'], recursive: true },
+    { dir: 'gui', extensions: ['.xml'], recursive: false },
+    { file: 'modDesc.xml' }
+];
+
+const GET_TEXT_PATTERN = /getText\s*\(\s*(["'])([\w.]+)\1(\s*\.\.)?/g;
+const L10N_REFERENCE_PATTERN = /\$l10n_([\w.]+)/g;
+const LUA_STRING_PATTERN = /"([\w.]+)"|'([\w.]+)'/g;
+const ACTION_PATTERN = /<action\s[^>]*name="([\w.]+)"/g;
+// "prefix_" .. expr [.. "_suffix"] - a key assembled at runtime
+const DYNAMIC_KEY_PATTERN = /(["'])([\w.]+)\1\s*\.\.\s*[\w.:[\]]+(?:\([^()\n]*\))?(?:\s*\.\.\s*(["'])([\w.]+)\3)?/g;
+
+function listFilesRecursive(dir, extensions, recursive) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...listFilesRecursive(fullPath, extensions, recursive));
+        } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Blank out Lua comments (-- line, --[[ block ]], --[==[ ]==]) while keeping
+ * strings and line numbers intact, so commented-out getText calls don't count
+ */
+function stripLuaComments(content) {
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    let result = '';
+    let pos = 0;
+
+    while (pos < content.length) {
+        const char = content[pos];
+
+        if (char === '"' || char === "'") {
+            let end = pos + 1;
+            while (end < content.length && content[end] !== char && content[end] !== '\n') {
+                end += content[end] === '\\' ? 2 : 1;
+            }
+            result += content.substring(pos, end + 1);
+            pos = end + 1;
+        } else if (content.startsWith('--', pos)) {
+            const longBracket = /^--\[(=*)\[/.exec(content.substring(pos, pos + 64));
+            let end;
+            if (longBracket) {
+                const close = content.indexOf(`]${longBracket[1]}]`, pos);
+                end = close === -1 ? content.length : close + longBracket[1].length + 2;
+            } else {
+                const newline = content.indexOf('\n', pos);
+                end = newline === -1 ? content.length : newline;
+            }
+            result += blank(content.substring(pos, end));
+            pos = end;
+        } else {
+            result += char;
+            pos++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build a lookup from character offset to line number (1-based)
+ */
+function createLineLocator(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content.charCodeAt(i) === 10) lineStarts.push(i + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+        }
+        return low + 1;
+    };
+}
+
+/**
+ * Every file under modRoot that USAGE_SOURCES says may reference keys
+ */
+function listUsageFiles(modRoot) {
+    const files = [];
+    for (const spec of USAGE_SOURCES) {
+        if (spec.file) {
+            if (fs.existsSync(path.join(modRoot, spec.file))) files.push(path.join(modRoot, spec.file));
+        } else if (fs.existsSync(path.join(modRoot, spec.dir))) {
+            files.push(...listFilesRecursive(path.join(modRoot, spec.dir), spec.extensions, spec.recursive));
+        }
+    }
+    return files;
+}
+
+/**
+ * Collect every translation key reference in the mod.
+ * Returns { explicit: [{ key, file, line, via }], literals: Set,
+ * dynamic: [{ pattern, file, line }], files } where explicit holds
+ * getText("key") calls, $l10n_ references and input_<action> keys for
+ * modDesc actions, literals holds every other quoted Lua identifier (keys
+ * are often kept in tables and looked up later) and dynamic holds
+ * "prefix_" .. x [.. "_suffix"] concatenations as prefix_*_suffix patterns.
+ */
+function collectKeyReferences(modRoot) {
+    const files = listUsageFiles(modRoot);
+    const explicit = [];
+    const literals = new Set();
+    const dynamic = [];
+
+    for (const file of files) {
+        const relative = path.relative(modRoot, file).split(path.sep).join('/');
+        const isLua = file.toLowerCase().endsWith('.lua');
+        const content = isLua ? stripLuaComments(fs.readFileSync(file, 'utf8')) : fs.readFileSync(file, 'utf8');
+        const lineAt = createLineLocator(content);
+        const add = (key, index, via) => explicit.push({ key, file: relative, line: lineAt(index), via });
+
+        for (const match of content.matchAll(L10N_REFERENCE_PATTERN)) {
+            add(match[1], match.index, '$l10n_');
+        }
+
+        if (isLua) {
+            for (const match of content.matchAll(GET_TEXT_PATTERN)) {
+                if (!match[3]) add(match[2], match.index, 'getText');
+            }
+            for (const match of content.matchAll(LUA_STRING_PATTERN)) {
+                literals.add(match[1] || match[2]);
+            }
+            for (const match of content.matchAll(DYNAMIC_KEY_PATTERN)) {
+                dynamic.push({ pattern: `${match[2]}*${match[4] || ''}`, file: relative, line: lineAt(match.index) });
+            }
+        } else if (path.basename(file) === 'modDesc.xml') {
+            for (const match of content.matchAll(ACTION_PATTERN)) {
+                add(`input_${match[1]}`, match.index, 'action');
+            }
+        }
+    }
+
+    return { explicit, literals, dynamic, files };
+}
+
+/**
+ * The key prefix the mod owns, e.g. "usedplus_": the most common leading
+ * word of the English keys. Referenced keys without it are assumed to be
+ * base-game keys, which the English file doesn't need to define.
+ */
+function detectKeyPrefix(sourceKeys) {
+    const counts = new Map();
+    for (const key of sourceKeys) {
+        const match = /^[a-z0-9]+_/i.exec(key);
+        if (match) {
+            const prefix = match[0].toLowerCase();
+            counts.set(prefix, (counts.get(prefix) || 0) + 1);
+        }
+    }
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+}
+
+/**
+ * Turn a key pattern with * wildcards (any text, including none) into an
+ * anchored RegExp
+ */
+function keyPatternToRegex(pattern) {
+    return new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`);
+}
+
+/**
+ * Merge the patterns inferred from code with CONFIG.dynamicKeyPatterns and
+ * list the English keys each one covers. Inferred patterns must fix more
+ * than the mod's key prefix ("usedplus_" .. x would cover every key) and
+ * are dropped otherwise; configured patterns are always used.
+ * Returns [{ pattern, sources: ['file:line' | 'config'], keys: [] }].
+ */
+function resolveDynamicKeyPatterns(inferred, keyPrefix, sourceKeys) {
+    const byPattern = new Map();
+    const addPattern = (pattern, origin) => {
+        if (!byPattern.has(pattern)) byPattern.set(pattern, { pattern, sources: [], keys: [] });
+        byPattern.get(pattern).sources.push(origin);
+    };
+
+    for (const { pattern, file, line } of inferred) {
+        const fixed = pattern.replace('*', '');
+        if (!fixed.toLowerCase().startsWith(keyPrefix) || fixed.length <= keyPrefix.length) continue;
+        addPattern(pattern, `${file}:${line}`);
+    }
+    for (const pattern of CONFIG.dynamicKeyPatterns) {
+        addPattern(pattern, 'config');
+    }
+
+    const patterns = [...byPattern.values()];
+    for (const entry of patterns) {
+        const regex = keyPatternToRegex(entry.pattern);
+        entry.keys = sourceKeys.filter(key => regex.test(key));
+    }
+    return patterns.sort((a, b) => a.pattern.localeCompare(b.pattern));
+}
+
+/**
+ * Cross-reference English keys with the mod's code and XML.
+ * missing: keys referenced with the mod's prefix (or as input actions)
+ * that English lacks; unused: English keys referenced nowhere and not
+ * covered by a dynamic key pattern.
+ */
+function analyzeKeyUsage(source, modRoot) {
+    const { explicit, literals, dynamic, files } = collectKeyReferences(modRoot);
+    const keyPrefix = detectKeyPrefix(source.orderedKeys);
+    const patterns = resolveDynamicKeyPatterns(dynamic, keyPrefix, source.orderedKeys);
+    const covered = new Set(patterns.flatMap(p => p.keys));
+
+    const missing = explicit.filter(ref =>
+        !source.entries.has(ref.key) &&
+        (ref.via === 'action' || ref.key.toLowerCase().startsWith(keyPrefix)));
+
+    const referenced = new Set(explicit.map(ref => ref.key));
+    const unused = source.orderedKeys.filter(key => !referenced.has(key) && !literals.has(key) && !covered.has(key) && !isIgnoredKey(key));
+
+    return { keyPrefix, files: files.length, references: explicit.length, missing, unused, patterns };
+}
+
+function checkKeyUsage() {
+    const outputFormat = getOutputFormat();
+    if (outputFormat === 'sarif') {
+        throw new Error('usage supports --format text|json');
+    }
+
+    const modRoot = getOption('root') ? resolveUserPath(getOption('root')) : CONFIG.modRoot;
+    if (!fs.existsSync(modRoot)) {
+        throw new Error(`Mod root not found: ${modRoot}`);
+    }
+
+    const source = loadSource();
+    const usage = analyzeKeyUsage(source, modRoot);
+    const sourceLines = parseTranslationFile(source.sourceFile, source.format).lineNumbers;
+
+    if (outputFormat === 'json') {
+        printDocument({
+            tool: 'translation_sync',
+            version: VERSION,
+            command: 'usage',
+            ok: usage.missing.length === 0,
+            source: { file: source.sourceFile, format: source.format, keys: source.entries.size },
+            ...usage,
+            unused: usage.unused.map(key => ({ key, line: (sourceLines.get(key) || [])[0] }))
+        });
+        process.exitCode = usage.missing.length === 0 ? 0 : 1;
+        return;
+    }
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION KEY USAGE v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    console.log(`Source:  ${source.sourceFile} (${source.entries.size} keys)`);
+    console.log(`Scanned: ${usage.files} files under ${path.resolve(modRoot)} (${usage.references} references, mod prefix "${usage.keyPrefix}")`);
+
+    console.log(`\n  ── MISSING FROM ENGLISH (${usage.missing.length}) ──`);
+    for (const { key, file, line, via } of usage.missing) {
+        console.log(`    - ${key}  (${file}:${line}, ${via})`);
+    }
+    if (usage.missing.length === 0) {
+        console.log("    ✓ Every referenced key exists in English");
+    }
+
+    console.log(`\n  ── DYNAMIC KEY PATTERNS (${usage.patterns.length}, keys they cover count as used) ──`);
+    for (const { pattern, sources, keys } of usage.patterns) {
+        console.log(`    * ${pattern}  (${sources.join(', ')})`);
+        if (keys.length === 0) {
+            console.log("        no English keys match - dead code, or the keys are missing");
+        }
+        for (const key of keys) {
+            console.log(`        ${key}`);
+        }
+    }
+
+    console.log(`\n  ── UNUSED (${usage.unused.length} English keys referenced nowhere) ──`);
+    for (const key of usage.unused) {
+        console.log(`    x ${key}  (${source.sourceFile}:${(sourceLines.get(key) || ['?'])[0]})`);
+    }
+    if (usage.unused.length === 0) {
+        console.log("    ✓ Every English key is referenced");
+    }
+
+    console.log();
+    console.log("══════════════════════════════════════════════════════════════════════");
+    if (usage.missing.length > 0) {
+        console.log(`${usage.missing.length} reference(s) to keys missing from English - the game shows the raw key.`);
+        process.exitCode = 1;
+    }
+    if (usage.unused.length > 0) {
+        console.log("Keys built at runtime in ways not detected above can be declared in CONFIG.dynamicKeyPatterns.");
+    }
+    console.log("══════════════════════════════════════════════════════════════════════");
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// RENAME-KEY / RENAME-PREFIX / DELETE-KEY Commands - Key Refactoring (v3.27.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Keys the code patterns can find again after a rename
+const KEY_NAME_PATTERN = /^[\w.]+$/;
+
+/**
+ * Plan renaming or deleting entries in English and every language file
+ * (--lang is ignored: a key has to change everywhere at once). mapKey(key)
+ * returns the new key, null to leave the entry alone or '' to delete it.
+ * Renames only touch the key attribute, so values, eh= and other attributes
+ * stay as written. Returns { files: [{ file, name, content, changed,
+ * unchanged, unreadable }], conflicts: ['file: message'] } - a conflict is a
+ * new key that already exists in a file.
+ */
+function planEntryKeyEdits(source, mapKey) {
+    const names = getFormatNames(source.format);
+    const targets = [
+        { file: source.sourceFile, name: 'English (source)' },
+        ...getEnabledLanguages().map(({ code, name }) => ({ file: getLangFilePath(source.filePrefix, code), name }))
+    ];
+    const files = [];
+    const conflicts = [];
+
+    for (const { file, name } of targets) {
+        if (!fs.existsSync(file)) continue;
+
+        const parsed = parseTranslationFile(file, source.format);
+        const lines = findEntryLines(parsed);
+        const edits = [];
+        let changed = 0;
+
+        parsed.spans.forEach((span, i) => {
+            const newKey = mapKey(span.key);
+            if (newKey === null) return;
+            if (newKey === '') {
+                edits.push({ start: lines[i].start, end: lines[i].end, text: '' });
+            } else {
+                if (parsed.entries.has(newKey) && mapKey(newKey) === null) {
+                    conflicts.push(`${file}: "${newKey}" already exists (line ${parsed.lineNumbers.get(newKey)[0]})`);
+                }
+                edits.push(attributeEdit(span.token, names.keyAttr, escapeXml(newKey)));
+            }
+            changed++;
+        });
+
+        files.push({
+            file,
+            name,
+            content: applyEdits(parsed.rawContent, edits),
+            changed,
+            unchanged: changed === 0,
+            unreadable: parsed.errors.length
+        });
+    }
+
+    return { files, conflicts };
+}
+
+/**
+ * Plan rewriting key references in the files the usage command scans:
+ * $l10n_ references, getText("key") arguments and Lua strings holding an
+ * English key, and with partial = true (prefix renames) also the "prefix_"
+ * of "prefix_" .. x concatenations. mapKey is as for planEntryKeyEdits;
+ * references to deleted keys are listed but not changed.
+ * Returns [{ file, relative, content, changes: [{ line, from, to }] }].
+ */
+function planCodeKeyEdits(source, modRoot, mapKey, partial) {
+    const planned = [];
+
+    for (const file of listUsageFiles(modRoot)) {
+        const original = fs.readFileSync(file, 'utf8');
+        const isLua = file.toLowerCase().endsWith('.lua');
+        const lineAt = createLineLocator(original);
+        const edits = [];
+        const changes = [];
+        const seen = new Set();
+
+        const rewrite = (from, start) => {
+            const to = mapKey(from);
+            if (to === null || seen.has(start)) return;
+            seen.add(start);
+            changes.push({ line: lineAt(start), from, to });
+            if (to !== '') edits.push({ start, end: start + from.length, text: to });
+        };
+
+        for (const match of original.matchAll(L10N_REFERENCE_PATTERN)) {
+            rewrite(match[1], match.index + '$l10n_'.length);
+        }
+        if (isLua) {
+            for (const match of original.matchAll(GET_TEXT_PATTERN)) {
+                if (!match[3]) rewrite(match[2], match.index + match[0].indexOf(match[1]) + 1);
+            }
+            for (const match of original.matchAll(LUA_STRING_PATTERN)) {
+                const literal = match[1] || match[2];
+                if (source.entries.has(literal)) rewrite(literal, match.index + 1);
+            }
+            if (partial) {
+                for (const match of original.matchAll(DYNAMIC_KEY_PATTERN)) {
+                    rewrite(match[2], match.index + 1);
+                }
+            }
+        }
+
+        if (changes.length > 0) {
+            planned.push({
+                file,
+                relative: path.relative(modRoot, file).split(path.sep).join('/'),
+                content: applyEdits(original, edits),
+                changes: changes.sort((a, b) => a.line - b.line)
+            });
+        }
+    }
+
+    return planned;
+}
+
+/**
+ * Things a refactoring can't rewrite safely: dynamic key patterns (inferred
+ * from code or configured) that cover an affected key, input_ keys that
+ * belong to a modDesc action, and project config entries naming the key.
+ * With partial, inferred patterns whose prefix mapKey renames were rewritten
+ * along with the code and aren't reported.
+ */
+function findKeyRefactorWarnings(source, modRoot, affectedKeys, mapKey, partial) {
+    const warnings = [];
+    const affected = new Set(affectedKeys);
+    const { dynamic } = collectKeyReferences(modRoot);
+    const keyPrefix = detectKeyPrefix(source.orderedKeys);
+
+    for (const { pattern, sources: allSources, keys } of resolveDynamicKeyPatterns(dynamic, keyPrefix, source.orderedKeys)) {
+        const rewritten = partial && mapKey(pattern.split('*')[0]) !== null;
+        const sources = rewritten ? allSources.filter(origin => origin === 'config') : allSources;
+        const hit = keys.filter(key => affected.has(key));
+        if (hit.length > 0 && sources.length > 0) {
+            warnings.push(`${pattern} (${sources.join(', ')}) builds ${hit.join(', ')} at runtime`);
+        }
+    }
+    for (const key of affectedKeys.filter(k => k.startsWith('input_'))) {
+        warnings.push(`${key} is the label of the "${key.substring('input_'.length)}" action - rename the action in modDesc.xml too`);
+    }
+    for (const [langCode, entries] of Object.entries(CONFIG.identicalAllowed)) {
+        for (const key of entries.filter(entry => affected.has(entry))) {
+            warnings.push(`${PROJECT_CONFIG_FILE}: identicalAllowed.${langCode} lists ${key}`);
+        }
+    }
+    for (const key of affectedKeys.filter(isIgnoredKey)) {
+        warnings.push(`${PROJECT_CONFIG_FILE}: ignoredKeys matches ${key}`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Shared driver for rename-key, rename-prefix and delete-key: plan every
+ * file, refuse on conflicts (and, when deleting, on code that still uses
+ * the key unless --force), then write everything or nothing.
+ */
+function refactorKeys(title, source, mapKey, { partial = false, deleting = false } = {}) {
+    const modRoot = getOption('root') ? resolveUserPath(getOption('root')) : CONFIG.modRoot;
+    const affectedKeys = source.orderedKeys.filter(key => mapKey(key) !== null);
+
+    const taken = affectedKeys.map(mapKey).filter(newKey => newKey && source.entries.has(newKey) && mapKey(newKey) === null);
+    if (taken.length > 0) {
+        throw new Error(`Already in ${source.sourceFile}: ${taken.join(', ')}`);
+    }
+
+    const { files, conflicts } = planEntryKeyEdits(source, mapKey);
+    const codeFiles = fs.existsSync(modRoot) ? planCodeKeyEdits(source, modRoot, mapKey, partial) : [];
+    const warnings = fs.existsSync(modRoot) ? findKeyRefactorWarnings(source, modRoot, affectedKeys, mapKey, partial) : [];
+    const referenced = deleting && codeFiles.length > 0;
+    const blocked = conflicts.length > 0 || (referenced && !hasFlag('force'));
+    const dryRun = hasFlag('dry-run') || blocked;
+
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION ${title} v${VERSION}${dryRun ? ' (dry run - no files changed)' : ''}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    for (const key of affectedKeys) {
+        console.log(deleting ? `  x ${key}` : `  ${key} → ${mapKey(key)}`);
+    }
+
+    console.log("\n  ── TRANSLATION FILES ──");
+    for (const { name, changed, unreadable } of files) {
+        const note = unreadable > 0 ? ` (${unreadable} unreadable line(s) not checked)` : '';
+        const verb = deleting ? (dryRun ? 'would delete' : 'deleted') : (dryRun ? 'would rename' : 'renamed');
+        console.log(`  ${name.padEnd(18)}: ${changed === 0 ? 'not present' : `${verb} ${changed}`}${note}`);
+    }
+
+    console.log(`\n  ── CODE AND GUI (${fs.existsSync(modRoot) ? path.resolve(modRoot) : `${modRoot} not found`}) ──`);
+    for (const { relative, changes } of codeFiles) {
+        for (const { line, from, to } of changes) {
+            console.log(deleting ? `    ! ${relative}:${line}  ${from}` : `    ~ ${relative}:${line}  ${from} → ${to}`);
+        }
+    }
+    if (codeFiles.length === 0) {
+        console.log("    No references found");
+    }
+
+    if (warnings.length > 0) {
+        console.log("\n  ── NOT REWRITTEN - check by hand ──");
+        for (const warning of warnings) {
+            console.log(`    ? ${warning}`);
+        }
+    }
+
+    console.log();
+    console.log("══════════════════════════════════════════════════════════════════════");
+    if (conflicts.length > 0) {
+        for (const conflict of conflicts) {
+            console.log(`CONFLICT: ${conflict}`);
+        }
+        console.log("Nothing changed. Remove those entries first (prune deletes keys English doesn't have).");
+        process.exitCode = 1;
+    } else if (referenced && !hasFlag('force')) {
+        console.log("Nothing changed: the code above still uses the key(s) - the game would show the raw key.");
+        console.log("Remove those references first, or run again with --force.");
+        process.exitCode = 1;
+    } else if (dryRun) {
+        const fileCount = files.filter(f => !f.unchanged).length + (deleting ? 0 : codeFiles.length);
+        console.log(`DRY RUN COMPLETE - ${fileCount} file(s) would change`);
+    } else {
+        const written = files.filter(f => !f.unchanged);
+        for (const { file, content } of written) {
+            fs.writeFileSync(file, content, 'utf8');
+        }
+        if (!deleting) {
+            for (const { file, content } of codeFiles) {
+                fs.writeFileSync(file, content, 'utf8');
+            }
+        }
+        console.log(`${written.length + (deleting ? 0 : codeFiles.length)} file(s) written.${deleting ? '' : ' Values and eh= hashes are unchanged.'}`);
+    }
+    console.log("══════════════════════════════════════════════════════════════════════");
+}
+
+function renameKey() {
+    const [oldKey, newKey] = getPositionalArgs();
+    if (!oldKey || !newKey) {
+        throw new Error('Usage: node translation_sync.js rename-key <old_key> <new_key> [--dry-run]');
+    }
+    if (!KEY_NAME_PATTERN.test(newKey)) {
+        throw new Error(`"${newKey}" is not a valid key (letters, digits, _ and . only)`);
+    }
+
+    const source = loadSource();
+    if (!source.entries.has(oldKey)) {
+        throw new Error(`"${oldKey}" is not in ${source.sourceFile}`);
+    }
+
+    refactorKeys('RENAME-KEY', source, key => (key === oldKey ? newKey : null));
+}
+
+function renamePrefix() {
+    const [oldPrefix, newPrefix] = getPositionalArgs();
+    if (!oldPrefix || newPrefix === undefined) {
+        throw new Error('Usage: node translation_sync.js rename-prefix <old_prefix_> <new_prefix_> [--dry-run]');
+    }
+    if (!KEY_NAME_PATTERN.test(newPrefix)) {
+        throw new Error(`"${newPrefix}" is not a valid key prefix (letters, digits, _ and . only)`);
+    }
+
+    const source = loadSource();
+    if (!source.orderedKeys.some(key => key.startsWith(oldPrefix))) {
+        throw new Error(`No key in ${source.sourceFile} starts with "${oldPrefix}"`);
+    }
+
+    refactorKeys('RENAME-PREFIX', source,
+        key => (key.startsWith(oldPrefix) ? newPrefix + key.substring(oldPrefix.length) : null),
+        { partial: true });
+}
+
+function deleteKey() {
+    const keys = getPositionalArgs();
+    if (keys.length === 0) {
+        throw new Error('Usage: node translation_sync.js delete-key <key> [key ...] [--dry-run] [--force]');
+    }
+
+    const source = loadSource();
+    const unknown = keys.filter(key => !source.entries.has(key));
+    if (unknown.length > 0) {
+        throw new Error(`Not in ${source.sourceFile}: ${unknown.join(', ')}`);
+    }
+
+    const doomed = new Set(keys);
+    refactorKeys('DELETE-KEY', source, key => (doomed.has(key) ? '' : null), { deleting: true });
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// EXPLAIN Command - Untranslated Rules (v3.21.0)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Run classifyTranslation over one language and keep every entry a rule
+ * decided: identical values (accepted or not), Latin text in non-Latin
+ * languages and nt keys. "[EN] " entries and plain translations are counted
+ * only. keyPatterns (exact keys or "*" wildcards) narrow the entries.
+ */
+function explainLanguage(source, langCode, langEntries, keyPatterns) {
+    const entries = [];
+    let prefixed = 0;
+
+    for (const key of source.orderedKeys) {
+        const langData = langEntries.get(key);
+        if (!langData || isIgnoredKey(key)) continue;
+        if (keyPatterns.length > 0 && !keyPatterns.some(pattern => keyPatternToRegex(pattern).test(key))) continue;
+
+        if (langData.value.startsWith(CONFIG.untranslatedPrefix)) {
+            prefixed++;
+            continue;
+        }
+
+        const verdict = classifyTranslation(langCode, key, source.entries.get(key), langData.value);
+        if (verdict.rule !== 'differs') entries.push({ key, value: langData.value, ...verdict });
+    }
+
+    return { prefixed, entries };
+}
 
-        if (issues.length === 0) {
-            console.log(`  ${langName.padEnd(18)}: ✓ OK`);
-        } else {
-            console.log(`  ${langName.padEnd(18)}: ${issues.join(', ')}`);
+function explainUntranslated() {
+    const outputFormat = getOutputFormat();
+    if (outputFormat === 'sarif') {
+        throw new Error('explain supports --format text|json');
+    }
 
-            // v3.2.0: Show format errors FIRST (most critical!)
-            if (formatErrors.length > 0) {
-                console.log(`    🔴 FORMAT SPECIFIER ERRORS (will crash game!):`);
-                for (const err of formatErrors.slice(0, 5)) {
-                    console.log(`    💥 ${err.key}: ${err.message}`);
-                }
-                if (formatErrors.length > 5) {
-                    console.log(`    ... and ${formatErrors.length - 5} more format errors`);
-                }
-            }
+    const source = loadSource();
+    const keyPatterns = getPositionalArgs();
+    const results = [];
+    for (const { code, name } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, code);
+        if (!fs.existsSync(langFile)) continue;
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        results.push({ code, name, script: (getLanguage(code) || { script: 'Latin' }).script, ...explainLanguage(source, code, langEntries, keyPatterns) });
+    }
 
-            if (added > 0) {
-                for (const key of missing.slice(0, 3)) {
-                    console.log(`    + ${key}`);
-                }
-                if (missing.length > 3) {
-                    console.log(`    ... and ${missing.length - 3} more`);
-                }
-            }
+    if (outputFormat === 'json') {
+        printDocument({
+            tool: 'translation_sync',
+            version: VERSION,
+            command: 'explain',
+            rules: IDENTICAL_RULES.map(({ id, anyScript, description }) => ({ id, anyScript: !!anyScript, description })),
+            languages: results
+        });
+        return;
+    }
 
-            if (stale.length > 0 && stale.length <= 5) {
-                console.log(`    Stale (English changed):`);
-                for (const key of stale) {
-                    console.log(`    ~ ${key}`);
-                }
-            } else if (stale.length > 5) {
-                console.log(`    Stale: ${stale.slice(0, 3).join(', ')} ... +${stale.length - 3} more`);
-            }
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION UNTRANSLATED RULES v${VERSION}`);
+    console.log("══════════════════════════════════════════════════════════════════════");
 
-            if (duplicates.length > 0 && duplicates.length <= 5) {
-                console.log(`    Duplicates (same key appears twice - remove one!):`);
-                for (const key of duplicates) {
-                    console.log(`    !! ${key}`);
-                }
-            } else if (duplicates.length > 5) {
-                console.log(`    Duplicates: ${duplicates.slice(0, 3).join(', ')} ... +${duplicates.length - 3} more`);
-            }
+    const countByRule = list => {
+        const counts = new Map();
+        for (const { rule } of list) counts.set(rule, (counts.get(rule) || 0) + 1);
+        return [...counts].map(([rule, count]) => `${rule} ${count}`).join(', ');
+    };
 
-            if (orphaned.length > 0 && orphaned.length <= 5) {
-                console.log(`    Orphaned (not in English - can delete):`);
-                for (const key of orphaned) {
-                    console.log(`    x ${key}`);
-                }
-            } else if (orphaned.length > 5) {
-                console.log(`    Orphaned: ${orphaned.slice(0, 3).join(', ')} ... +${orphaned.length - 3} more`);
-            }
+    for (const { code, name, script, prefixed, entries } of results) {
+        const scriptNote = script === 'Latin' ? 'Latin script' : `${script} script - Latin text counts as untranslated`;
+        console.log(`\n  ── ${name} (${code}) - ${scriptNote} ──`);
 
-            // v3.2.0: Show empty and whitespace issues
-            if (emptyValues.length > 0) {
-                console.log(`    Empty values: ${emptyValues.slice(0, 3).map(e => e.key).join(', ')}${emptyValues.length > 3 ? ` ... +${emptyValues.length - 3} more` : ''}`);
-            }
-            if (whitespaceIssues.length > 0) {
-                console.log(`    Whitespace issues: ${whitespaceIssues.slice(0, 3).map(e => e.key).join(', ')}${whitespaceIssues.length > 3 ? ` ... +${whitespaceIssues.length - 3} more` : ''}`);
-            }
+        for (const { key, value, untranslated, reason } of entries) {
+            const shown = value.length > 40 ? `${value.substring(0, 40)}...` : value;
+            console.log(`    ${untranslated ? '?' : '✓'} ${key}  "${shown}"  ${untranslated ? 'UNTRANSLATED' : 'accepted'}: ${reason}`);
         }
 
-        results.push({
-            lang: langName,
-            missing: missing.length,
-            stale: stale.length,
-            duplicates: duplicates.length,
-            orphaned: orphaned.length,
-            formatErrors: formatErrors.length,
-            emptyValues: emptyValues.length,
-            whitespaceIssues: whitespaceIssues.length,
-            added
-        });
+        const accepted = entries.filter(e => !e.untranslated);
+        const untranslated = entries.filter(e => e.untranslated);
+        console.log(`    Accepted: ${accepted.length}${accepted.length ? ` (${countByRule(accepted)})` : ''}`);
+        console.log(`    Untranslated: ${untranslated.length}${untranslated.length ? ` (${countByRule(untranslated)})` : ''}, plus ${prefixed} with "${CONFIG.untranslatedPrefix}"`);
     }
 
     console.log();
     console.log("══════════════════════════════════════════════════════════════════════");
-    console.log("SYNC COMPLETE");
-    console.log();
-    console.log("Hash-based tracking is now embedded in your XML files:");
-    console.log("  - English entries have eh=\"hash\" showing current text hash");
-    console.log("  - Target entries have eh=\"hash\" showing what they were translated from");
-    console.log("  - When hashes don't match = translation is STALE (needs update)");
-    console.log();
-    console.log(`New entries have "${CONFIG.untranslatedPrefix}" prefix - they need translation!`);
-    console.log("When translator updates an entry, update its eh= to match English.");
+    console.log(`Accept a value with "cognates" in ${CONFIG.glossaryFile} (Latin-script languages)`);
+    console.log(`or "identicalAllowed" in ${PROJECT_CONFIG_FILE} (per language, any script).`);
     console.log("══════════════════════════════════════════════════════════════════════");
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// CHECK Command
+// WATCH Command - Re-run on Save (v3.22.0)
 // ──────────────────────────────────────────────────────────────────────────────
 
-function checkSync() {
-    console.log("══════════════════════════════════════════════════════════════════════");
-    console.log(`TRANSLATION CHECK v${VERSION}`);
-    console.log("══════════════════════════════════════════════════════════════════════");
-    console.log();
+// Editors save in bursts (write, rename, touch); wait for the last event
+const WATCH_DEBOUNCE_MS = 300;
 
-    const filePrefix = autoDetectFilePrefix();
-    if (!filePrefix) {
-        console.error("ERROR: Could not find source translation file.");
-        process.exit(1);
+function hashFileContent(file) {
+    return fs.existsSync(file) ? crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex') : null;
+}
+
+/**
+ * What watch compares between runs: the English hash per key and, per
+ * language, its missing and stale keys, format errors and parse errors
+ */
+function takeWatchSnapshot(source, languages) {
+    const snapshot = { keys: new Map(source.hashes), languages: new Map() };
+
+    for (const { code, name } of languages) {
+        const a = analyzeLanguage(source, code, name);
+        if (!a.exists) continue;
+        snapshot.languages.set(code, {
+            missing: new Set(a.missing),
+            stale: new Set(a.stale.map(s => s.key)),
+            formatErrors: new Map(a.formatErrors.map(e => [`${e.key}: ${e.message}`, e])),
+            // By message (which names the key), so inserting a line above doesn't count as new
+            parseErrors: new Map(a.parseErrors.map(e => [e.message, e]))
+        });
     }
 
-    const sourceFile = getSourceFilePath(filePrefix);
-    if (!fs.existsSync(sourceFile)) {
-        console.error(`ERROR: Source file not found: ${sourceFile}`);
-        process.exit(1);
+    return snapshot;
+}
+
+/**
+ * Lines describing what changed between two snapshots. Key-level changes
+ * are grouped across languages ("now stale in 25 languages"); errors are
+ * listed per language, both new ones and ones that went away.
+ */
+function describeWatchDelta(before, after) {
+    const lines = [];
+
+    for (const [key, hash] of after.keys) {
+        if (!before.keys.has(key)) lines.push(`  + ${key}  (added to English)`);
+        else if (before.keys.get(key) !== hash) lines.push(`  * ${key}  (English changed)`);
+    }
+    for (const key of before.keys.keys()) {
+        if (!after.keys.has(key)) lines.push(`  x ${key}  (removed from English)`);
+    }
+
+    const grouped = { missing: new Map(), stale: new Map() };
+    for (const [code, now] of after.languages) {
+        const then = before.languages.get(code);
+        if (!then) continue;
+        for (const field of ['missing', 'stale']) {
+            for (const key of now[field]) {
+                if (then[field].has(key)) continue;
+                if (!grouped[field].has(key)) grouped[field].set(key, []);
+                grouped[field].get(key).push(code);
+            }
+        }
+    }
+    const inLanguages = codes => codes.length > 3 ? `${codes.length} languages` : codes.join(', ');
+    for (const [key, codes] of grouped.stale) lines.push(`  ~ ${key}  now stale in ${inLanguages(codes)}`);
+    for (const [key, codes] of grouped.missing) lines.push(`  - ${key}  now missing in ${inLanguages(codes)}`);
+
+    for (const [code, now] of after.languages) {
+        const then = before.languages.get(code);
+        if (!then) continue;
+        for (const [id] of now.formatErrors) {
+            if (!then.formatErrors.has(id)) lines.push(`  💥 ${code} ${id}`);
+        }
+        for (const [id] of then.formatErrors) {
+            if (!now.formatErrors.has(id)) lines.push(`  ✓ ${code} fixed: ${id}`);
+        }
+        for (const [id, err] of now.parseErrors) {
+            if (!then.parseErrors.has(id)) lines.push(`  ⚠ ${code} line ${err.line}: ${id}`);
+        }
+        for (const [id, err] of then.parseErrors) {
+            if (!now.parseErrors.has(id)) lines.push(`  ✓ ${code} fixed: line ${err.line}: ${id}`);
+        }
     }
 
-    const sourceContent = fs.readFileSync(sourceFile, 'utf8');
-    const format = autoDetectXmlFormat(sourceContent);
-    const { entries: sourceEntries } = parseTranslationFile(sourceFile, format);
+    return lines;
+}
 
-    // Compute current hashes
-    const sourceHashes = new Map();
-    for (const [key, data] of sourceEntries) {
-        sourceHashes.set(key, getHash(data.value));
+/**
+ * Watch English (and with --all every language file) and re-run sync, or
+ * only the analysis with --check, after each save. Prints what changed
+ * since the previous run instead of the full sync output. Runs until Ctrl+C.
+ */
+function watchTranslations() {
+    const checkOnly = hasFlag('check');
+    const source = loadSource();
+    const languages = getSelectedLanguages();
+
+    const watchedFiles = [source.sourceFile];
+    if (hasFlag('all')) {
+        watchedFiles.push(...languages.map(({ code }) => getLangFilePath(source.filePrefix, code)));
     }
 
-    console.log(`Source: ${sourceFile} (${sourceEntries.size} keys)\n`);
+    // Content hashes as of the last run, so the files sync itself writes
+    // (and saves that change nothing) don't trigger another run
+    const fileHashes = new Map();
+    const rememberFiles = () => {
+        for (const file of watchedFiles) fileHashes.set(file, hashFileContent(file));
+    };
+
+    // Sync runs in a child process: it exits on errors, and its full
+    // report is replaced by the delta below
+    const runSync = () => {
+        try {
+            execFileSync(process.execPath, [__filename, 'sync', '--dir', process.cwd()], { stdio: 'ignore' });
+            return true;
+        } catch (err) {
+            console.log(`  ✖ sync failed (exit code ${err.status}) - run 'node translation_sync.js sync' to see why`);
+            return false;
+        }
+    };
 
-    let hasProblems = false;
-    const summary = [];
-    const enabledLangs = getEnabledLanguages();
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION WATCH v${VERSION} - ${checkOnly ? 'check' : 'sync'} on save (Ctrl+C to stop)`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
 
-    for (const { code: langCode, name: langName } of enabledLangs) {
-        const langFile = getLangFilePath(filePrefix, langCode);
+    if (!checkOnly) runSync();
+    let snapshot = takeWatchSnapshot(loadSource(), languages);
+    rememberFiles();
 
-        if (!fs.existsSync(langFile)) {
-            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND`);
-            hasProblems = true;
-            summary.push({ name: langName, total: 0, missing: -1, stale: 0, untranslated: 0 });
-            continue;
+    let staleCount = 0;
+    let errorCount = 0;
+    for (const lang of snapshot.languages.values()) {
+        staleCount += lang.stale.size;
+        errorCount += lang.formatErrors.size;
+    }
+    console.log(`Watching ${watchedFiles.length === 1 ? source.sourceFile : `${source.sourceFile} and ${watchedFiles.length - 1} language files`}`);
+    console.log(`Baseline: ${snapshot.keys.size} keys, ${staleCount} stale entries, ${errorCount} format errors in ${snapshot.languages.size} languages\n`);
+
+    const pending = new Set();
+    let timer = null;
+
+    const run = () => {
+        timer = null;
+        const changed = [...pending].filter(file => hashFileContent(file) !== fileHashes.get(file));
+        pending.clear();
+        if (changed.length === 0) return;
+
+        const time = new Date().toTimeString().substring(0, 8);
+        console.log(`[${time}] ${changed.map(file => path.basename(file)).join(', ')} changed`);
+
+        // Mid-save or broken English: wait for the next save instead of exiting
+        const sourceContent = fs.existsSync(source.sourceFile) ? fs.readFileSync(source.sourceFile, 'utf8') : '';
+        if (!autoDetectXmlFormat(sourceContent)) {
+            console.log(`  ⚠ ${source.sourceFile} has no readable entries - waiting for the next save\n`);
+            return;
         }
 
-        const { entries: langEntries, orderedKeys: langKeys, duplicates: langDuplicates } = parseTranslationFile(langFile, format);
+        if (!checkOnly) runSync();
+        const next = takeWatchSnapshot(loadSource(), languages);
+        const lines = describeWatchDelta(snapshot, next);
+        console.log(lines.length > 0 ? lines.join('\n') : '  no changes to keys, stale entries or errors');
+        console.log();
 
-        const missing = [];
-        const stale = [];
-        const untranslated = [];
-        const duplicates = langDuplicates || [];
-        const orphaned = [];
+        snapshot = next;
+        rememberFiles();
+    };
+
+    fs.watch(path.dirname(path.resolve(source.sourceFile)), (event, filename) => {
+        const file = watchedFiles.find(f => path.basename(f) === filename);
+        if (!file) return;
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(run, WATCH_DEBOUNCE_MS);
+    });
+}
 
-        for (const [key, sourceData] of sourceEntries) {
-            const sourceHash = sourceHashes.get(key);
+// ──────────────────────────────────────────────────────────────────────────────
+// EXPORT / IMPORT Commands (XLIFF 2.0)
+// ──────────────────────────────────────────────────────────────────────────────
 
-            if (!langEntries.has(key)) {
-                missing.push(key);
-            } else {
-                const langData = langEntries.get(key);
+/**
+ * Build an XLIFF 2.0 document for one language.
+ * Unit id = translation key, note "eh" = English hash the unit was exported
+ * against, note "status" = why the entry needs work, notes "context" and
+ * "max" = the English entry's ctx= and max= when set. Stale and [EN] entries
+ * carry the existing translation as target so translators can edit it.
+ */
+function buildXliff(langCode, langFile, pending) {
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${CONFIG.sourceLanguage}" trgLang="${langCode}">`);
+    lines.push(`  <file id="f1" original="${escapeXml(langFile)}">`);
+
+    for (const { key, status, english, translation, hash, ctx, max } of pending) {
+        lines.push(`    <unit id="${escapeXml(key)}">`);
+        lines.push('      <notes>');
+        lines.push(`        <note category="eh">${hash}</note>`);
+        lines.push(`        <note category="status">${status}</note>`);
+        if (ctx) lines.push(`        <note category="context">${escapeXml(ctx)}</note>`);
+        if (max) lines.push(`        <note category="max">${max}</note>`);
+        lines.push('      </notes>');
+        lines.push('      <segment state="initial">');
+        lines.push(`        <source>${escapeXml(english)}</source>`);
+        if (status === 'stale') {
+            lines.push(`        <target>${escapeXml(translation)}</target>`);
+        } else {
+            lines.push('        <target></target>');
+        }
+        lines.push('      </segment>');
+        lines.push('    </unit>');
+    }
 
-                if (langData.value.startsWith(CONFIG.untranslatedPrefix)) {
-                    untranslated.push(key);
-                } else if (langData.value === sourceData.value && !isFormatOnlyString(sourceData.value) && !isCognateOrInternationalTerm(sourceData.value)) {
-                    // Exact match = untranslated, UNLESS it's a format-only string or cognate/international term
-                    untranslated.push(key);
-                } else if (format === 'elements' && langData.hash && langData.hash !== sourceHash) {
-                    stale.push(key);
-                }
+    lines.push('  </file>');
+    lines.push('</xliff>');
+    return lines.join('\n') + '\n';
+}
+
+// XLIFF segment states, least to most advanced
+const XLIFF_STATES = ['initial', 'translated', 'reviewed', 'final'];
+
+/**
+ * Parse an XLIFF 2.0 document written by buildXliff() (or a CAT tool that
+ * round-tripped it) with the XML tokenizer. Returns { trgLang, units:
+ * [{ key, hash, state, target, error }] }. A unit's target joins all its
+ * segments, and its state is the least advanced segment's. Inline markup in
+ * a target (<ph>, <pc>, <mrk>, ...) has no plain-text equivalent, so such a
+ * unit gets an error instead; <cp hex="..."/> is read as its character.
+ * Throws on markup the tokenizer can't read.
+ */
+function parseXliff(content) {
+    const { tokens, errors } = tokenizeXml(content);
+    if (errors.length > 0) {
+        throw new Error(`line ${errors[0].line}: ${errors[0].message}`);
+    }
+
+    const getAttr = (token, name) => {
+        const attr = token.attrs.find(a => a.name === name);
+        return attr ? unescapeXml(attr.value) : null;
+    };
+
+    let trgLang = null;
+    const units = [];
+    let unit = null;
+    let reading = null;   // 'eh' (hash note) or 'target' while inside one
+    let text = '';
+
+    for (const token of tokens) {
+        const raw = content.substring(token.start, token.end);
+        if (token.type === 'text' || token.type === 'cdata') {
+            if (reading) text += token.type === 'cdata' ? raw.slice('<![CDATA['.length, -']]>'.length) : unescapeXml(raw);
+            continue;
+        }
+        if (!['open', 'close', 'selfclose'].includes(token.type)) continue;
+
+        // Namespace prefixes (xliff:unit) don't matter here
+        const name = token.name.replace(/^.*:/, '');
+
+        if (reading === 'target' && name !== 'target') {
+            const hex = name === 'cp' ? getAttr(token, 'hex') : null;
+            if (hex && /^[0-9a-f]{1,6}$/i.test(hex) && parseInt(hex, 16) <= 0x10ffff) {
+                text += String.fromCodePoint(parseInt(hex, 16));
+            } else if (!unit.error) {
+                unit.error = `inline <${name}> markup in <target> (line ${token.line}) - only plain text can be imported, remove it in the CAT tool`;
             }
+            continue;
         }
 
-        // Find orphaned keys (in target but NOT in source)
-        for (const langKey of langKeys) {
-            if (!sourceEntries.has(langKey)) {
-                orphaned.push(langKey);
+        if (token.type === 'close') {
+            if (name === 'unit' && unit) {
+                const state = XLIFF_STATES.find(s => unit.states.includes(s)) || unit.states[0] || 'initial';
+                units.push({ key: unit.key, hash: unit.hash, state, target: unit.target, error: unit.error });
+                unit = null;
+            } else if (name === 'note' && reading === 'eh') {
+                unit.hash = text.trim();
+                reading = null;
+            } else if (name === 'target' && reading === 'target') {
+                unit.target += text;
+                reading = null;
             }
+            continue;
         }
 
-        const issues = [];
-        if (missing.length > 0) issues.push(`${missing.length} MISSING`);
-        if (stale.length > 0) issues.push(`${stale.length} stale`);
-        if (untranslated.length > 0) issues.push(`${untranslated.length} untranslated`);
-        if (duplicates.length > 0) issues.push(`${duplicates.length} duplicates`);
-        if (orphaned.length > 0) issues.push(`${orphaned.length} orphaned`);
+        if (name === 'xliff') {
+            trgLang = getAttr(token, 'trgLang');
+        } else if (name === 'unit') {
+            const key = getAttr(token, 'id');
+            unit = { key, hash: null, states: [], target: '', error: key ? null : `<unit> without id (line ${token.line})` };
+        } else if (!unit) {
+            continue;
+        } else if (name === 'segment') {
+            unit.states.push(getAttr(token, 'state') || 'initial');
+        } else if (token.type === 'open' && name === 'note' && getAttr(token, 'category') === 'eh') {
+            reading = 'eh';
+            text = '';
+        } else if (token.type === 'open' && name === 'target') {
+            reading = 'target';
+            text = '';
+        }
+    }
 
-        if (issues.length === 0) {
-            console.log(`  ${langName.padEnd(18)}: ✓ OK (${langEntries.size} keys)`);
-        } else {
-            if (missing.length > 0 || duplicates.length > 0 || orphaned.length > 0) hasProblems = true;
-            console.log(`  ${langName.padEnd(18)}: ${issues.join(', ')}`);
+    return { trgLang: trgLang ? trgLang.toLowerCase() : null, units };
+}
+
+function exportXliff() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION EXPORT v${VERSION} - XLIFF 2.0`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const source = loadSource();
+    const outDir = getOption('out') ? resolveUserPath(getOption('out')) : 'xliff';
+    fs.mkdirSync(outDir, { recursive: true });
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
         }
 
-        summary.push({
-            name: langName,
-            total: langEntries.size,
-            missing: missing.length,
-            stale: stale.length,
-            untranslated: untranslated.length,
-            duplicates: duplicates.length,
-            orphaned: orphaned.length
-        });
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const pending = collectPendingEntries(source, langEntries)
+            .map(entry => ({ ...entry, hash: source.hashes.get(entry.key) }));
+
+        if (pending.length === 0) {
+            console.log(`  ${langName.padEnd(18)}: ✓ nothing to translate`);
+            continue;
+        }
+
+        const outFile = path.join(outDir, `${source.filePrefix}_${langCode}.xlf`);
+        fs.writeFileSync(outFile, buildXliff(langCode, langFile, pending), 'utf8');
+
+        const counts = ['missing', 'stale', 'untranslated']
+            .map(status => `${pending.filter(e => e.status === status).length} ${status}`)
+            .join(', ');
+        console.log(`  ${langName.padEnd(18)}: ${pending.length} units → ${outFile} (${counts})`);
     }
 
     console.log();
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
-    console.log("SUMMARY:");
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
-    console.log("Language            | Total  | Missing | Stale | Untranslated | Duplicates | Orphaned");
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+    console.log("Translate the <target> elements, then run:");
+    console.log(`  node translation_sync.js import ${path.join(outDir, `${source.filePrefix}_xx.xlf`)}`);
+}
 
-    for (const s of summary) {
-        const status = (s.missing > 0 || s.duplicates > 0 || s.orphaned > 0) ? '!!' : '  ';
-        const totalStr = s.missing === -1 ? '  N/A' : String(s.total).padStart(6);
-        const missingStr = s.missing === -1 ? '  N/A' : String(s.missing).padStart(7);
-        const dupsStr = s.duplicates !== undefined ? String(s.duplicates).padStart(10) : '       N/A';
-        const orphStr = s.orphaned !== undefined ? String(s.orphaned).padStart(8) : '     N/A';
-        console.log(`${status}${s.name.padEnd(18)} | ${totalStr} | ${missingStr} | ${String(s.stale).padStart(5)} | ${String(s.untranslated).padStart(12)} | ${dupsStr} | ${orphStr}`);
+function importXliff() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION IMPORT v${VERSION} - XLIFF 2.0`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+
+    const files = getPositionalArgs();
+    if (files.length === 0) {
+        throw new Error('No XLIFF file given. Usage: node translation_sync.js import <file.xlf> [--lang xx]');
     }
 
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────────────");
+    const source = loadSource();
+    let hasRejections = false;
 
-    if (hasProblems) {
-        console.log();
-        const totalMissing = summary.reduce((sum, s) => sum + (s.missing > 0 ? s.missing : 0), 0);
-        const totalDuplicates = summary.reduce((sum, s) => sum + (s.duplicates || 0), 0);
-        const totalOrphaned = summary.reduce((sum, s) => sum + (s.orphaned || 0), 0);
-        if (totalMissing > 0) {
-            console.log("CRITICAL: Missing keys detected! Run 'node translation_sync.js sync' to fix.");
-        }
-        if (totalDuplicates > 0) {
-            console.log(`CRITICAL: ${totalDuplicates} duplicate keys found! Manually remove duplicate entries from XML files.`);
-        }
-        if (totalOrphaned > 0) {
-            console.log(`WARNING: ${totalOrphaned} orphaned keys found (in target but not in English). Safe to delete.`);
+    for (const file of files.map(resolveUserPath)) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`File not found: ${file}`);
         }
-        process.exit(1);
-    } else {
-        console.log();
-        const totalStale = summary.reduce((sum, s) => sum + s.stale, 0);
-        const totalUntranslated = summary.reduce((sum, s) => sum + s.untranslated, 0);
 
-        if (totalStale > 0) {
-            console.log(`Note: ${totalStale} stale entries need re-translation (English text changed).`);
-        }
-        if (totalUntranslated > 0) {
-            console.log(`Note: ${totalUntranslated} entries have "${CONFIG.untranslatedPrefix}" prefix and need translation.`);
+        let parsed;
+        try {
+            parsed = parseXliff(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`${file}: ${err.message}`);
         }
-        if (totalStale === 0 && totalUntranslated === 0) {
-            console.log("All translations are complete and up to date!");
+        const { trgLang, units } = parsed;
+        const langCode = (getOption('lang') || trgLang || '').toLowerCase();
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!langCode || !fs.existsSync(langFile)) {
+            throw new Error(`${file}: no target language file for "${langCode}" (use --lang xx)`);
         }
-        process.exit(0);
+
+        // Untouched units (still "initial" with the exported target) are not imports
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const updates = units
+            .filter(unit => !unit.error && unit.target !== '')
+            .filter(unit => {
+                const existing = langEntries.get(unit.key);
+                return unit.state !== 'initial' || !existing || existing.value !== unit.target;
+            })
+            .map(unit => ({ key: unit.key, value: unit.target, hash: unit.hash }));
+
+        const result = applyTranslations(source, langCode, updates);
+        result.rejected.push(...units.filter(unit => unit.error).map(unit => ({ key: unit.key || '?', reason: unit.error })));
+        printApplyResult(LANGUAGE_NAMES[langCode] || langCode.toUpperCase(), result);
+        if (result.rejected.length > 0) hasRejections = true;
     }
+
+    console.log();
+    process.exitCode = hasRejections ? 1 : 0;
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// STATUS Command
+// EXPORT-PO / IMPORT-PO Commands (gettext)
 // ──────────────────────────────────────────────────────────────────────────────
 
-function showStatus() {
-    console.log();
+function escapePo(str) {
+    return str
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+}
+
+function unescapePo(str) {
+    return str.replace(/\\(.)/g, (match, char) => {
+        switch (char) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            default: return char;   // \\ and \"
+        }
+    });
+}
+
+/**
+ * Build a POT (langCode = null) or PO document from the source entries.
+ * msgctxt = translation key, "#. eh=" comment = English hash of the msgid,
+ * further "#." comments = the entry's ctx= and max=. nt= entries are left out.
+ * Stale translations are exported as fuzzy so they are not imported unreviewed.
+ */
+function buildPo(source, langCode, langEntries) {
+    const header = [
+        `Project-Id-Version: ${source.filePrefix}\\n`,
+        `Language: ${langCode || ''}\\n`,
+        'MIME-Version: 1.0\\n',
+        'Content-Type: text/plain; charset=UTF-8\\n',
+        'Content-Transfer-Encoding: 8bit\\n',
+        `X-Generator: translation_sync.js ${VERSION}\\n`
+    ];
+
+    const lines = ['msgid ""', 'msgstr ""', ...header.map(line => `"${line}"`), ''];
+
+    for (const key of source.orderedKeys) {
+        const { value: english, meta } = source.entries.get(key);
+        if (meta.nt) continue;
+        const hash = source.hashes.get(key);
+        const flags = [];
+        let translation = '';
+
+        if (langEntries && langEntries.has(key)) {
+            const langData = langEntries.get(key);
+            if (!langData.value.startsWith(CONFIG.untranslatedPrefix)) {
+                translation = langData.value;
+                if (source.format === 'elements' && langData.hash && langData.hash !== hash) {
+                    flags.push('fuzzy');
+                }
+            }
+        }
+        if (extractFormatSpecifiers(english).length > 0) flags.push('c-format');
+
+        lines.push(`#. eh=${hash}`);
+        if (meta.ctx) lines.push(`#. ${meta.ctx.replace(/\s*\n\s*/g, ' ')}`);
+        if (meta.max) lines.push(`#. max ${meta.max} characters`);
+        if (flags.length > 0) lines.push(`#, ${flags.join(', ')}`);
+        lines.push(`msgctxt "${escapePo(key)}"`);
+        lines.push(`msgid "${escapePo(english)}"`);
+        lines.push(`msgstr "${escapePo(translation)}"`);
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Parse a PO file into { language, entries: [{ key, hash, fuzzy, msgid, msgstr }] }.
+ * Handles multi-line strings; skips the header and obsolete (#~) entries.
+ */
+function parsePo(content) {
+    const entries = [];
+    let language = null;
+    let current = null;
+    let field = null;
+
+    const finish = () => {
+        if (current && current.msgid !== undefined) {
+            if (current.msgid === '' && current.key === null) {
+                const langMatch = (current.msgstr || '').match(/^Language:\s*(\S+)/m);
+                if (langMatch) language = langMatch[1].toLowerCase();
+            } else {
+                entries.push(current);
+            }
+        }
+        current = null;
+        field = null;
+    };
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+
+        if (line === '') {
+            finish();
+            continue;
+        }
+        if (line.startsWith('#~')) continue;
+
+        // Comments after a msgstr start the next entry even without a blank line
+        if (line.startsWith('#') && field === 'msgstr') finish();
+        if (!current) current = { key: null, hash: null, fuzzy: false, msgid: undefined, msgstr: '' };
+
+        if (line.startsWith('#.')) {
+            const hashMatch = line.match(/eh=([0-9a-f]+)/);
+            if (hashMatch) current.hash = hashMatch[1];
+        } else if (line.startsWith('#,')) {
+            current.fuzzy = /\bfuzzy\b/.test(line);
+        } else if (line.startsWith('#')) {
+            continue;
+        } else {
+            const match = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"$/);
+            const continuation = line.match(/^"(.*)"$/);
+            if (match) {
+                // A new msgctxt/msgid after a msgstr starts the next entry
+                if (match[1] !== 'msgstr' && field === 'msgstr') {
+                    finish();
+                    current = { key: null, hash: null, fuzzy: false, msgid: undefined, msgstr: '' };
+                }
+                field = match[1];
+                const value = unescapePo(match[2]);
+                if (field === 'msgctxt') current.key = value;
+                else current[field] = value;
+            } else if (continuation && field) {
+                const value = unescapePo(continuation[1]);
+                if (field === 'msgctxt') current.key += value;
+                else current[field] += value;
+            }
+        }
+    }
+    finish();
+
+    return { language, entries };
+}
+
+function exportPo() {
     console.log("══════════════════════════════════════════════════════════════════════");
-    console.log(`TRANSLATION STATUS v${VERSION}`);
+    console.log(`TRANSLATION EXPORT v${VERSION} - gettext PO/POT`);
     console.log("══════════════════════════════════════════════════════════════════════");
     console.log();
 
-    const filePrefix = autoDetectFilePrefix();
-    if (!filePrefix) {
-        console.error("ERROR: Could not find translation files.");
-        process.exit(1);
-    }
+    const source = loadSource();
+    const outDir = getOption('out') ? resolveUserPath(getOption('out')) : 'po';
+    fs.mkdirSync(outDir, { recursive: true });
 
-    const sourceFile = getSourceFilePath(filePrefix);
-    const sourceContent = fs.readFileSync(sourceFile, 'utf8');
-    const format = autoDetectXmlFormat(sourceContent);
-    const { entries: sourceEntries } = parseTranslationFile(sourceFile, format);
+    const potFile = path.join(outDir, `${source.filePrefix}.pot`);
+    fs.writeFileSync(potFile, buildPo(source, null, null), 'utf8');
+    console.log(`  ${'Template'.padEnd(18)}: ${source.entries.size} entries → ${potFile}`);
+
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
+        }
 
-    const sourceHashes = new Map();
-    for (const [key, data] of sourceEntries) {
-        sourceHashes.set(key, getHash(data.value));
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const poFile = path.join(outDir, `${source.filePrefix}_${langCode}.po`);
+        fs.writeFileSync(poFile, buildPo(source, langCode, langEntries), 'utf8');
+
+        const pending = collectPendingEntries(source, langEntries).length;
+        console.log(`  ${langName.padEnd(18)}: ${source.entries.size} entries (${pending} need work) → ${poFile}`);
     }
 
-    console.log(`Source: ${sourceFile} (${sourceEntries.size} keys)`);
-    console.log(`Format: ${format}${format === 'elements' ? ' (hash-enabled)' : ''}`);
     console.log();
+    console.log("Edit the PO files in Poedit/Weblate, then run:");
+    console.log(`  node translation_sync.js import-po ${path.join(outDir, `${source.filePrefix}_xx.po`)}`);
+}
 
-    console.log("Language            | Translated |  Stale  | Untranslated | Missing | Dups | Orphaned");
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────");
+function importPo() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION IMPORT v${VERSION} - gettext PO`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
 
-    const enabledLangs = getEnabledLanguages();
+    const files = getPositionalArgs();
+    if (files.length === 0) {
+        throw new Error('No PO file given. Usage: node translation_sync.js import-po <file.po> [--lang xx]');
+    }
 
-    for (const { code: langCode, name: langName } of enabledLangs) {
-        const langFile = getLangFilePath(filePrefix, langCode);
+    const source = loadSource();
+    let hasRejections = false;
 
-        if (!fs.existsSync(langFile)) {
-            console.log(`${langName.padEnd(20)}|    N/A     |   N/A   |     N/A      |   N/A   |  N/A |    N/A`);
-            continue;
+    for (const file of files.map(resolveUserPath)) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`File not found: ${file}`);
         }
 
-        const { entries: langEntries, orderedKeys: langKeys, duplicates: langDuplicates } = parseTranslationFile(langFile, format);
+        const { language, entries } = parsePo(fs.readFileSync(file, 'utf8'));
+        const langCode = (getOption('lang') || language || '').toLowerCase();
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!langCode || !fs.existsSync(langFile)) {
+            throw new Error(`${file}: no target language file for "${langCode}" (use --lang xx)`);
+        }
 
-        let translated = 0, stale = 0, untranslated = 0, missing = 0, orphaned = 0, formatErrs = 0;
-        const duplicates = langDuplicates ? langDuplicates.length : 0;
+        // Fuzzy entries still need review; empty msgstr means untranslated
+        const updates = entries
+            .filter(entry => entry.key !== null && !entry.fuzzy && entry.msgstr !== '')
+            .map(entry => ({ key: entry.key, value: entry.msgstr, hash: entry.hash }));
 
-        for (const [key, sourceData] of sourceEntries) {
-            const sourceHash = sourceHashes.get(key);
+        const result = applyTranslations(source, langCode, updates);
+        printApplyResult(LANGUAGE_NAMES[langCode] || langCode.toUpperCase(), result);
+        if (result.rejected.length > 0) hasRejections = true;
+    }
 
-            if (!langEntries.has(key)) {
-                missing++;
-            } else {
-                const langData = langEntries.get(key);
+    console.log();
+    process.exitCode = hasRejections ? 1 : 0;
+}
 
-                if (langData.value.startsWith(CONFIG.untranslatedPrefix)) {
-                    untranslated++;
-                } else if (langData.value === sourceData.value && !isFormatOnlyString(sourceData.value) && !isCognateOrInternationalTerm(sourceData.value)) {
-                    untranslated++;
-                } else if (format === 'elements' && langData.hash && langData.hash !== sourceHash) {
-                    stale++;
-                } else {
-                    translated++;
-                }
+// ──────────────────────────────────────────────────────────────────────────────
+// EXPORT-CSV / IMPORT-CSV Commands (spreadsheets)
+// ──────────────────────────────────────────────────────────────────────────────
 
-                // v3.2.0: Check format specifiers
-                const formatIssue = checkFormatSpecifiers(sourceData.value, langData.value, key);
-                if (formatIssue && !langData.value.startsWith(CONFIG.untranslatedPrefix)) {
-                    formatErrs++;
-                }
+function escapeCsvField(value) {
+    if (/[",;\t\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180: quoted fields may contain
+ * delimiters, doubled quotes and line breaks). The delimiter is detected from
+ * the header line, since spreadsheets in many locales save with ";" or tabs.
+ */
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .reduce((best, d) => headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
 
-        // Count orphaned keys
-        for (const langKey of langKeys) {
-            if (!sourceEntries.has(langKey)) {
-                orphaned++;
+    return rows.filter(r => r.some(cell => cell !== ''));
+}
+
+/**
+ * Build a spreadsheet with one row per key: key, English hash, English text,
+ * ctx and max, then a value and status column per language (nt= keys are
+ * left out). Missing and [EN] cells are
+ * left blank; stale cells hold the old translation.
+ */
+function buildCsv(source, languages) {
+    const header = ['key', 'eh', CONFIG.sourceLanguage, 'ctx', 'max'];
+    const langData = [];
+
+    for (const { code: langCode } of languages) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const pending = new Map(collectPendingEntries(source, langEntries).map(entry => [entry.key, entry]));
+        langData.push({ langEntries, pending });
+        header.push(langCode, `${langCode}_status`);
+    }
+
+    const rows = [header];
+    for (const key of source.orderedKeys) {
+        const { value: english, meta } = source.entries.get(key);
+        if (meta.nt) continue;
+        const row = [key, source.hashes.get(key), english, meta.ctx || '', meta.max || ''];
+
+        for (const { langEntries, pending } of langData) {
+            const entry = pending.get(key);
+            if (!entry) {
+                const langEntry = langEntries.get(key);
+                row.push(langEntry.value, langEntry.machineTranslated ? 'mt' : 'ok');
+            } else if (entry.status === 'stale') {
+                row.push(entry.translation, 'stale');
+            } else {
+                row.push('', entry.status);
             }
         }
 
-        // v3.2.0: Show format errors prominently
-        const fmtStr = formatErrs > 0 ? ` 🔴${formatErrs}` : '';
-        console.log(`${langName.padEnd(20)}| ${String(translated).padStart(10)} | ${String(stale).padStart(7)} | ${String(untranslated).padStart(12)} | ${String(missing).padStart(7)} | ${String(duplicates).padStart(4)} | ${String(orphaned).padStart(8)}${fmtStr}`);
+        rows.push(row);
     }
 
-    console.log("──────────────────────────────────────────────────────────────────────────────────────────");
-    console.log("🔴 = Format specifier errors (CRITICAL - will crash game!)");
+    // BOM + CRLF so Excel opens the file as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
-// REPORT Command
-// ──────────────────────────────────────────────────────────────────────────────
+function exportCsv() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION EXPORT v${VERSION} - CSV Spreadsheet`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
 
-function generateReport() {
+    const source = loadSource();
+    const outDir = getOption('out') ? resolveUserPath(getOption('out')) : 'csv';
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const languages = getSelectedLanguages()
+        .filter(({ code }) => fs.existsSync(getLangFilePath(source.filePrefix, code)));
+    const csvFile = path.join(outDir, `${source.filePrefix}.csv`);
+    fs.writeFileSync(csvFile, buildCsv(source, languages), 'utf8');
+
+    console.log(`  ${source.entries.size} keys × ${languages.length} languages → ${csvFile}`);
+    console.log();
+    console.log("Fill in blank cells or edit stale ones (set their status to \"ok\"), then run:");
+    console.log(`  node translation_sync.js import-csv ${csvFile}`);
+}
+
+function importCsv() {
     console.log("══════════════════════════════════════════════════════════════════════");
-    console.log(`TRANSLATION DETAILED REPORT v${VERSION}`);
+    console.log(`TRANSLATION IMPORT v${VERSION} - CSV Spreadsheet`);
     console.log("══════════════════════════════════════════════════════════════════════");
     console.log();
 
-    const filePrefix = autoDetectFilePrefix();
-    if (!filePrefix) {
-        console.error("ERROR: Could not find source translation file.");
-        process.exit(1);
+    const files = getPositionalArgs();
+    if (files.length === 0) {
+        throw new Error('No CSV file given. Usage: node translation_sync.js import-csv <file.csv> [--lang de,fr]');
     }
 
-    const sourceFile = getSourceFilePath(filePrefix);
-    const sourceContent = fs.readFileSync(sourceFile, 'utf8');
-    const format = autoDetectXmlFormat(sourceContent);
-    const { entries: sourceEntries } = parseTranslationFile(sourceFile, format);
+    const file = resolveUserPath(files[0]);
+    if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+    }
 
-    const sourceHashes = new Map();
-    for (const [key, data] of sourceEntries) {
-        sourceHashes.set(key, getHash(data.value));
+    const source = loadSource();
+    const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+    const keyCol = header.indexOf('key');
+    const hashCol = header.indexOf('eh');
+    if (keyCol === -1) {
+        throw new Error(`${file}: no "key" column in header`);
     }
 
-    console.log(`Source: ${sourceFile} (${sourceEntries.size} keys)\n`);
+    const selectedCodes = getSelectedLanguages().map(lang => lang.code);
+    let hasRejections = false;
 
-    const enabledLangs = getEnabledLanguages();
+    for (let col = 0; col < header.length; col++) {
+        const langCode = header[col].toLowerCase();
+        if (!selectedCodes.includes(langCode)) continue;
 
-    for (const { code: langCode, name: langName } of enabledLangs) {
-        const langFile = getLangFilePath(filePrefix, langCode);
+        const statusCol = header.indexOf(`${langCode}_status`);
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
 
-        if (!fs.existsSync(langFile)) {
-            console.log(`${langName} (${langCode.toUpperCase()}): FILE NOT FOUND\n`);
-            continue;
-        }
+        // Unchanged cells only count when the translator marked them "ok"
+        // (that is how a stale translation is confirmed as still correct)
+        const updates = [];
+        for (const row of rows) {
+            const key = row[keyCol];
+            const value = row[col] || '';
+            if (!key || value === '') continue;
 
-        const { entries: langEntries, orderedKeys: langKeys, duplicates: langDuplicates } = parseTranslationFile(langFile, format);
+            const existing = langEntries.get(key);
+            const status = statusCol !== -1 ? (row[statusCol] || '').trim().toLowerCase() : 'ok';
+            if (existing && existing.value === value && status !== 'ok') continue;
 
-        const translated = [];
-        const missing = [];
-        const stale = [];
-        const untranslated = [];
-        const duplicates = langDuplicates || [];
-        const orphaned = [];
+            updates.push({ key, value, hash: hashCol !== -1 ? row[hashCol] : null });
+        }
 
-        for (const [key, sourceData] of sourceEntries) {
-            const sourceHash = sourceHashes.get(key);
+        const result = applyTranslations(source, langCode, updates);
+        printApplyResult(LANGUAGE_NAMES[langCode] || langCode.toUpperCase(), result, true);
+        if (result.rejected.length > 0) hasRejections = true;
+    }
 
-            if (!langEntries.has(key)) {
-                missing.push({ key, enValue: sourceData.value });
-            } else {
-                const langData = langEntries.get(key);
+    console.log();
+    process.exitCode = hasRejections ? 1 : 0;
+}
 
-                if (langData.value.startsWith(CONFIG.untranslatedPrefix)) {
-                    untranslated.push({ key, reason: 'has [EN] prefix' });
-                } else if (langData.value === sourceData.value && !isFormatOnlyString(sourceData.value) && !isCognateOrInternationalTerm(sourceData.value)) {
-                    untranslated.push({ key, reason: 'exact match (not cognate)' });
-                } else if (format === 'elements' && langData.hash && langData.hash !== sourceHash) {
-                    stale.push({
-                        key,
-                        oldHash: langData.hash,
-                        newHash: sourceHash,
-                        enValue: sourceData.value
-                    });
-                } else {
-                    translated.push(key);
-                }
-            }
-        }
+// ──────────────────────────────────────────────────────────────────────────────
+// EXPORT-JSON / APPLY-JSON Commands
+// ──────────────────────────────────────────────────────────────────────────────
 
-        // Find orphaned keys
-        for (const langKey of langKeys) {
-            if (!sourceEntries.has(langKey)) {
-                orphaned.push(langKey);
-            }
-        }
+/**
+ * File name for a language's untranslated dump, e.g. untranslated_danish.json
+ */
+function getUntranslatedJsonName(langCode) {
+    const langName = LANGUAGE_NAMES[langCode] || langCode;
+    return `untranslated_${langName.toLowerCase().replace(/[^a-z]+/g, '_').replace(/^_+|_+$/g, '')}.json`;
+}
 
-        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        console.log(`${langName} (${langCode.toUpperCase()})`);
-        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        console.log(`  Translated:    ${translated.length}`);
-        console.log(`  Missing:       ${missing.length}`);
-        console.log(`  Stale:         ${stale.length}`);
-        console.log(`  Untranslated:  ${untranslated.length}`);
-        console.log(`  Duplicates:    ${duplicates.length}`);
-        console.log(`  Orphaned:      ${orphaned.length}`);
+/**
+ * Work out which language an untranslated_*.json file belongs to from its name
+ */
+function detectJsonLanguage(file) {
+    const baseName = path.basename(file);
+    const match = getEnabledLanguages().find(({ code }) => getUntranslatedJsonName(code) === baseName);
+    return match ? match.code : null;
+}
 
-        if (missing.length > 0) {
-            console.log(`\n  ── MISSING KEYS ──`);
-            for (const { key } of missing.slice(0, 10)) {
-                console.log(`    - ${key}`);
-            }
-            if (missing.length > 10) {
-                console.log(`    ... and ${missing.length - 10} more`);
-            }
-        }
+function exportJson() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION EXPORT v${VERSION} - Untranslated JSON`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
 
-        if (stale.length > 0) {
-            console.log(`\n  ── STALE (English changed since translation) ──`);
-            for (const { key, oldHash, newHash } of stale.slice(0, 10)) {
-                console.log(`    ~ ${key}  (${oldHash} → ${newHash})`);
-            }
-            if (stale.length > 10) {
-                console.log(`    ... and ${stale.length - 10} more`);
-            }
-        }
+    if (!getOption('lang')) {
+        throw new Error('No language given. Usage: node translation_sync.js export-json --lang xx [--out dir]');
+    }
 
-        if (untranslated.length > 0 && untranslated.length <= 10) {
-            console.log(`\n  ── UNTRANSLATED ──`);
-            for (const { key, reason } of untranslated) {
-                console.log(`    ? ${key}  (${reason})`);
-            }
-        } else if (untranslated.length > 10) {
-            console.log(`\n  ── UNTRANSLATED (showing first 10) ──`);
-            for (const { key, reason } of untranslated.slice(0, 10)) {
-                console.log(`    ? ${key}  (${reason})`);
-            }
-            console.log(`    ... and ${untranslated.length - 10} more`);
-        }
+    const source = loadSource();
+    const outDir = getOption('out') ? resolveUserPath(getOption('out')) : '.';
+    fs.mkdirSync(outDir, { recursive: true });
 
-        if (duplicates.length > 0 && duplicates.length <= 10) {
-            console.log(`\n  ── DUPLICATES (same key appears twice - remove one!) ──`);
-            for (const key of duplicates) {
-                console.log(`    !! ${key}`);
-            }
-        } else if (duplicates.length > 10) {
-            console.log(`\n  ── DUPLICATES (showing first 10) ──`);
-            for (const key of duplicates.slice(0, 10)) {
-                console.log(`    !! ${key}`);
-            }
-            console.log(`    ... and ${duplicates.length - 10} more`);
+    for (const { code: langCode, name: langName } of getSelectedLanguages()) {
+        const langFile = getLangFilePath(source.filePrefix, langCode);
+        if (!fs.existsSync(langFile)) {
+            console.log(`  ${langName.padEnd(18)}: FILE NOT FOUND - skipping`);
+            continue;
         }
 
-        if (orphaned.length > 0 && orphaned.length <= 10) {
-            console.log(`\n  ── ORPHANED (not in English - safe to delete) ──`);
-            for (const key of orphaned) {
-                console.log(`    x ${key}`);
-            }
-        } else if (orphaned.length > 10) {
-            console.log(`\n  ── ORPHANED (showing first 10) ──`);
-            for (const key of orphaned.slice(0, 10)) {
-                console.log(`    x ${key}`);
+        const { entries: langEntries } = parseTranslationFile(langFile, source.format);
+        const untranslated = [];
+
+        // Missing, [EN] prefixed, or still English (see classifyTranslation)
+        for (const key of source.orderedKeys) {
+            const { value: sourceValue, meta } = source.entries.get(key);
+            if (isIgnoredKey(key) || meta.nt) continue;
+            const langData = langEntries.get(key);
+            const isUntranslated = !langData
+                || langData.value.startsWith(CONFIG.untranslatedPrefix)
+                || classifyTranslation(langCode, key, source.entries.get(key), langData.value).untranslated;
+
+            if (isUntranslated) {
+                untranslated.push({
+                    key,
+                    english: sourceValue,
+                    hash: source.hashes.get(key),
+                    ...(meta.ctx ? { context: meta.ctx } : {}),
+                    ...(meta.max ? { max: meta.max } : {})
+                });
             }
-            console.log(`    ... and ${orphaned.length - 10} more`);
         }
 
-        console.log();
+        const outFile = path.join(outDir, getUntranslatedJsonName(langCode));
+        fs.writeFileSync(outFile, JSON.stringify(untranslated, null, 2) + '\n', 'utf8');
+        console.log(`  ${langName.padEnd(18)}: ${untranslated.length} untranslated → ${outFile}`);
     }
 
-    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
+    console.log('Add a "translation" field to each entry, then run:');
+    console.log(`  node translation_sync.js apply-json <file> [--lang xx]`);
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
-// VALIDATE Command (CI-friendly)
-// ──────────────────────────────────────────────────────────────────────────────
-
-function validateSync() {
-    const filePrefix = autoDetectFilePrefix();
-    if (!filePrefix) {
-        console.log("FAIL: No translation files found");
-        process.exit(1);
-    }
+function applyJson() {
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log(`TRANSLATION APPLY v${VERSION} - Untranslated JSON`);
+    console.log("══════════════════════════════════════════════════════════════════════");
+    console.log();
 
-    const sourceFile = getSourceFilePath(filePrefix);
-    if (!fs.existsSync(sourceFile)) {
-        console.log("FAIL: Source file not found");
-        process.exit(1);
+    const files = getPositionalArgs();
+    if (files.length === 0) {
+        throw new Error('No JSON file given. Usage: node translation_sync.js apply-json <file> [--lang xx]');
     }
 
-    const sourceContent = fs.readFileSync(sourceFile, 'utf8');
-    const format = autoDetectXmlFormat(sourceContent);
-    const { entries: sourceEntries } = parseTranslationFile(sourceFile, format);
+    const source = loadSource();
+    let hasRejections = false;
 
-    let hasProblems = false;
-    const enabledLangs = getEnabledLanguages();
+    for (const file of files.map(resolveUserPath)) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`File not found: ${file}`);
+        }
 
-    for (const { code: langCode } of enabledLangs) {
-        const langFile = getLangFilePath(filePrefix, langCode);
-        if (!fs.existsSync(langFile)) {
-            hasProblems = true;
-            break;
+        const langCode = (getOption('lang') || detectJsonLanguage(file) || '').toLowerCase();
+        if (!langCode || !fs.existsSync(getLangFilePath(source.filePrefix, langCode))) {
+            throw new Error(`${file}: can't tell which language this is for (use --lang xx)`);
         }
 
-        const { entries: langEntries } = parseTranslationFile(langFile, format);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new Error(`${file}: invalid JSON - ${e.message}`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error(`${file}: expected an array of { key, english, hash, translation }`);
+        }
 
-        for (const [key] of sourceEntries) {
-            if (!langEntries.has(key)) {
-                hasProblems = true;
-                break;
+        // A missing hash can't prove the translation matches current English
+        const updates = [];
+        const missingHash = [];
+        for (const item of data) {
+            if (!item || typeof item.key !== 'string' || typeof item.translation !== 'string' || item.translation === '') continue;
+            if (!item.hash) {
+                missingHash.push({ key: item.key, reason: 'no hash in JSON entry' });
+                continue;
             }
+            updates.push({ key: item.key, value: item.translation, hash: item.hash });
         }
 
-        if (hasProblems) break;
+        const result = applyTranslations(source, langCode, updates);
+        result.rejected.push(...missingHash);
+        printApplyResult(LANGUAGE_NAMES[langCode] || langCode.toUpperCase(), result);
+        if (result.rejected.length > 0) hasRejections = true;
     }
 
-    if (hasProblems) {
-        console.log("FAIL: Translation files out of sync");
-        process.exit(1);
-    } else {
-        console.log("OK: All translation files have required keys");
-        process.exit(0);
-    }
+    console.log();
+    process.exitCode = hasRejections ? 1 : 0;
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
@@ -1312,13 +5557,297 @@ COMMANDS:
   check     - Report all issues, exit code 1 if MISSING keys exist
   status    - Quick overview: translated/stale/missing per language
   report    - Detailed breakdown by language with lists of problem keys
-  validate  - CI-friendly: minimal output, exit codes only
+  validate  - CI-friendly: OK/FAIL and the failing languages, exit code
+  prune     - Delete orphaned keys, collapse duplicates (--dry-run to preview)
+  migrate-entities - One-off upgrade for files written before v3.11.0
+  normalize - Reorder language files to match English, with its section comments
+  suggest   - Offer translations from keys with the same English text
+  translate - Machine-translate missing and "[EN] " entries, marked mt="1"
+  glossary  - Check translations use the required rendering of glossary terms
+  gui       - Estimate which translations overflow their gui/*.xml text elements
+  usage     - Keys the mod references but English lacks, and unused English keys
+  rename-key    - Rename a key in every language file and its code references
+  rename-prefix - Rename every key with a prefix, the same way
+  delete-key    - Delete key(s) from every language file (refuses if still used)
+  explain   - Show which rule decided each value is (or isn't) untranslated
+  watch     - Re-run sync (or check) on every save, print only what changed
+  export    - Write one XLIFF 2.0 file per language for CAT tools
+  import    - Merge a translated XLIFF file into its language file
+  export-po - Write a POT template and one PO file per language
+  import-po - Merge an edited PO file into its language file
+  export-csv - Write one spreadsheet with every key and language
+  import-csv - Merge edited spreadsheet cells into language files
+  export-json - Dump one language's untranslated entries as JSON
+  apply-json  - Write translations from such a JSON dump
   help      - Show this help
 
 USAGE:
   node translation_sync.js sync     # Sync all languages, update hashes
+  node translation_sync.js sync --dry-run  # Report what sync would change
+  node translation_sync.js sync --diff     # Print a unified diff per file
   node translation_sync.js check    # Verify sync status
   node translation_sync.js report   # See detailed stale/missing lists
+  node translation_sync.js report --git    # ...old English from git history too
+
+MACHINE-READABLE OUTPUT:
+  node translation_sync.js check --format json
+  node translation_sync.js check --format sarif > translations.sarif
+
+  status, check, report and validate accept --format text|json|sarif.
+  JSON holds the per-language results (missing, stale, untranslated,
+  duplicates, orphaned, formatErrors, emptyValues, whitespaceIssues,
+  markupIssues, parseErrors, glossaryViolations, lengthViolations,
+  doNotTranslate, machineTranslated).
+  SARIF 2.1.0 maps each issue to its file and line for CI annotations.
+  Exit codes are unchanged.
+
+PRUNE:
+  node translation_sync.js prune --dry-run   # Show what would be removed
+  node translation_sync.js prune [--lang de] # Remove it
+
+  Orphaned keys are deleted. For duplicates, the entry whose hash matches
+  English is kept (preferring a translated one); otherwise the last one.
+
+TRANSLATION MEMORY:
+  node translation_sync.js suggest [--lang de]          # Preview suggestions
+  node translation_sync.js suggest [--lang de] --apply  # Write them
+
+  For each missing or "[EN] " entry, looks for other keys with the same
+  English text (same hash) that are already translated in that language,
+  and offers the most common translation. Unreviewed machine translations
+  (mt="1") are not reused. --apply writes them with the current eh=, after
+  the same format specifier checks as imports.
+
+GLOSSARY (translation_glossary.json):
+  node translation_sync.js glossary [--lang de] [--format json|sarif]
+
+  {
+    "cognates": ["type", "status", "obd scanner", ...],
+    "terms": {
+      "Service Truck": { "de": "Werkstattwagen", "pl": "Warsztat mobilny" },
+      "OBD Scanner":   { "*": "OBD" },
+      "Good":          { "keys": ["usedplus_credit_*"], "de": "Gut" }
+    }
+  }
+
+  cognates: values identical to English that are NOT untranslated, in
+  languages written in Latin script (jp/kr/cs/ct/ru/uk must translate them).
+  terms: when English contains the term (whole words or their -s/-es
+  plural, any case), the translation must contain one of the renderings
+  for its language, or for "*". "keys" limits a term to matching keys.
+  Exit code 1 on violations; check --format sarif lists them too.
+
+GUI OVERFLOW:
+  node translation_sync.js gui [--lang de] [--gui ../gui] [--format json|sarif]
+
+  Finds every text element whose text="$l10n_..." key is translated, takes
+  its room from textMaxWidth or size (element attribute, else its profile and
+  the profiles it extends; wrapping texts get as many lines as fit), and
+  estimates each language's width from average glyph sizes per script.
+  Only texts whose English fits are flagged. Elements that only use
+  base-game profiles have no known size and are skipped. Exit code 1 on
+  likely overflows - estimates, so confirm in game before resizing.
+
+KEY USAGE:
+  node translation_sync.js usage [--root ..] [--format json]
+
+  Scans src/**/*.lua, vehicles/, placeables/, gui/*.xml and modDesc.xml
+  (relative to --root, default: the folder above the translations).
+  Missing: getText("key") or $l10n_key with the mod's key prefix, or a
+           modDesc <action> without input_<name>, absent from English.
+           Exit code 1 - the game would show the raw key.
+  Unused:  English keys that appear in none of those files, not even as a
+           quoted Lua string, and match no dynamic key pattern.
+  Dynamic: "usedplus_fluid_" .. x [.. "_suffix"] in Lua becomes the pattern
+           usedplus_fluid_*[_suffix]; the keys it covers count as used and
+           are listed under it. Declare patterns the scan can't see in
+           CONFIG.dynamicKeyPatterns, e.g. ['usedplus_tier_*_name'].
+
+PROJECT CONFIG (.translation-sync.json in the translations directory, optional):
+  {
+    "sourceLanguage": "en",
+    "untranslatedPrefix": "[EN] ",
+    "filePrefix": "translation",
+    "xmlFormat": "elements",
+    "languageNames": { "ea": "Español (LatAm)" },
+    "ignoredKeys": ["usedplus_debug_*"],
+    "identicalAllowed": { "de": ["Service", "usedplus_dash_trend"], "*": ["Diesel"] },
+    "failOn": ["missing", "duplicates", "orphaned", "parseErrors", "lengthViolations", "doNotTranslate", "formatErrors"]
+  }
+
+  Any CONFIG setting may be given (glossaryFile, snapshotFile, guiDir, modRoot,
+  dynamicKeyPatterns too); unknown settings, null and non-string list
+  items are an error.
+  ignoredKeys:      skipped by every check, report and export; sync still
+                    mirrors them and prune leaves them alone.
+  identicalAllowed: keys (* wildcards) or English texts that are not
+                    "untranslated" when identical to English (or when
+                    Latin text in a non-Latin language).
+  failOn:           issue types (JSON field names) that make check fail.
+  In key patterns (ignoredKeys, identicalAllowed, dynamicKeyPatterns) * matches
+  any text, including none: usedplus_debug_* covers usedplus_debug_ too.
+
+KEY REFACTORING (v3.27.0):
+  node translation_sync.js rename-key usedplus_rp_title usedplus_rp_heading
+  node translation_sync.js rename-prefix usedplus_fluid_ usedplus_liquid_
+  node translation_sync.js delete-key usedplus_old_key [more_keys ...]
+
+  Renames the entry in English and every language (only k= changes, so
+  values and eh= hashes stay), then rewrites references in the files usage
+  scans (src/, vehicles/, placeables/ Lua and XML, gui/*.xml, modDesc.xml;
+  --root for another mod root): $l10n_key, getText("key") and other Lua
+  strings holding the key. rename-prefix also rewrites "prefix_" .. x.
+  Dynamic key patterns, input_ action keys and project config entries
+  that name the key are listed under NOT REWRITTEN for a manual fix.
+  Nothing is written if a new key already exists. delete-key lists code
+  that still uses the key and changes nothing unless --force is given.
+  --dry-run shows every file and line that would change.
+
+NORMALIZE (v3.26.0):
+  node translation_sync.js normalize [--lang de] [--dry-run | --diff]
+
+  sync inserts a new key after its nearest existing neighbour, so language
+  files drift from English over time. normalize rebuilds each one on the
+  English layout: same key order, section comments, blank lines and
+  indentation. Each entry is copied exactly as written - value, eh= and any
+  extra attributes - so diffs between languages line up. The header comment
+  above <elements> stays the language's own; comments inside are replaced
+  by English's. Missing keys are left for sync; keys not in English and
+  duplicates are kept (orphans at the end) for prune. Files with unreadable
+  lines are skipped (exit code 1) so nothing is lost.
+
+LANGUAGES (v3.25.0):
+  Codes, names, BCP 47 tags and scripts come from translation_languages.js
+  (shared with tools/courseplay_translation_helper.js). FS25 codes are not
+  ISO: cs = Chinese (Simplified), cz = Czech, ct = Chinese (Traditional),
+  jp/kr = Japanese/Korean, br/ea/fc = Brazil/Latin America/Canada variants.
+  ja, ko, zh and tw are read as jp, kr, cs and ct. languageNames in the
+  project config only renames; add new languages to the registry.
+
+UNTRANSLATED DETECTION (v3.21.0):
+  node translation_sync.js explain --lang de [key ...] [--format json]
+
+  A value without "[EN] " counts as untranslated when it is identical to
+  English and no rule accepts it. Latin-script languages accept empty,
+  format-only, symbol, money, acronym (OBD), model name (GMC C7000), short
+  (<= 3 chars), "- Jim", glossary cognate, "vs ...", ALL CAPS, "Label:",
+  admin shorthand and "XYZ Integration" values of up to 50 characters.
+  jp, kr, cs, ct, ru and uk accept only the first six, and also flag
+  Latin text that differs from English ("Vehicle Details" in kr).
+  explain lists every value a rule decided, with the rule, and counts per
+  rule; keys (* wildcards) narrow it. Allow more per language with
+  identicalAllowed above.
+
+DIRECTORIES (v3.24.0):
+  node translation_sync.js check --dir ../../OtherMod/translations
+  node translation_sync.js validate --dir modA/translations --dir modB/translations
+
+  Without --dir the tool works on the folder it is in. Each --dir is one
+  translations folder with its own .translation-sync.json; every command
+  except watch and translate accepts several and runs once per folder.
+  A folder that fails doesn't stop the others; the exit code is the worst.
+  With --format json the output is one array of { directory, ...report },
+  or { directory, ok: false, error } for a folder that failed; --format
+  sarif gives one log with a run per folder (automationDetails.id is the
+  folder).
+
+LIBRARY USE (v3.24.0):
+  const { sync, parseTranslationFile, validateEntry, getHash } = require('./translation_sync');
+  const result = sync({ dir: 'translations', dryRun: true });
+
+  sync() prints nothing and returns { sourceFile, format, sourceKeys,
+  sourceParseErrors, hashesUpdated, filesChanged, snapshotsUpdated, diffs,
+  languages: [{ code,
+  missing, added, stale, duplicates, orphaned, formatErrors, ... }] }.
+  Errors (no English file, bad project config) are thrown. Requiring the
+  file runs no command. sync() works inside the folder while it runs, then
+  restores the working directory and settings (no use in worker threads).
+
+STALE ENTRIES - WHAT CHANGED (v3.23.0):
+  sync writes translation_snapshots.json: the English text behind every
+  eh= hash still in use. report shows it for each stale entry:
+
+    ~ usedplus_finance_itemDetails  (fcb2575f → b6cd841c)
+        was:  Vehicle Details
+        now:  Used Vehicle Details
+        diff: {+Used +}Vehicle Details
+
+  Hashes from before the first sync are missing from the file; report --git
+  looks them up in the git history of the English file instead. The file is
+  versioned: commit it whenever sync changes it, so translators see the
+  same old text. It is left out of the mod zip.
+
+WATCH (v3.22.0):
+  node translation_sync.js watch                # Sync whenever English is saved
+  node translation_sync.js watch --all          # ...or any language file
+  node translation_sync.js watch --check        # Analyze only, never write
+  node translation_sync.js watch --lang de,fr   # Report these languages only
+
+  After each save prints keys added to, removed from or changed in English,
+  keys that became stale or missing (grouped across languages), and format
+  and parse errors that appeared or were fixed. Files sync writes itself,
+  and saves that change nothing, don't trigger a run. Ctrl+C stops.
+
+MACHINE TRANSLATION:
+  node translation_sync.js translate --lang de --provider libretranslate [--url http://localhost:5000] [--api-key KEY]
+  node translation_sync.js translate --lang de --provider dictionary --dict terms.json
+  node translation_sync.js translate --lang de --provider ./my_provider.js [--dry-run]
+
+  Sends missing and "[EN] " entries to the provider and writes the results
+  with mt="1" so reviewers can find them (report lists them). Format
+  specifiers are sent as {{0}}, {{1}}... and checked after translation;
+  results that lost one are rejected. Any later import of the key clears mt.
+  libretranslate: POST <url>/translate, LibreTranslate JSON (also reads
+  LIBRETRANSLATE_URL / LIBRETRANSLATE_API_KEY); language codes come from
+  the registry's iso tags (cz → cs, jp → ja, br → pb). dictionary: JSON mapping
+  English to translation, flat or per language ({ "de": { ... } }).
+  A provider module exports translate(texts, langCode) returning a promise
+  of translations (null = skip).
+
+ENTITIES (v3.11.0):
+  node translation_sync.js migrate-entities --dry-run
+  node translation_sync.js migrate-entities
+
+  Values are decoded on read ("&amp;" is "&") and escaped once on write;
+  eh= hashes the decoded text. Older versions hashed the escaped text and
+  wrote "[EN] " placeholders escaped twice ("&amp;amp;"). migrate-entities
+  moves eh= to the new hash wherever it matched the old hash of the current
+  English, and decodes values that contain entity text English doesn't.
+
+XLIFF ROUND-TRIP:
+  node translation_sync.js export [--lang de,fr] [--out xliff]
+  node translation_sync.js import xliff/translation_de.xlf [--lang de]
+
+  Export holds missing, stale and "[EN] " entries (unit id = key, with the
+  English hash as a note). Import writes translated targets and sets eh= to
+  the current English hash. Units whose English changed since export,
+  translations with format specifier errors, and targets with inline markup
+  (<ph>, <pc>, <mrk>; <cp hex> is read as its character) are not imported.
+
+GETTEXT (PO/POT):
+  node translation_sync.js export-po [--lang de,fr] [--out po]
+  node translation_sync.js import-po po/translation_de.po [--lang de]
+
+  msgctxt is the key; a "#. eh=" comment carries the English hash. Stale
+  translations are exported as fuzzy. Fuzzy and empty entries are not
+  imported; the rest pass the same checks as XLIFF import.
+
+SPREADSHEETS (CSV):
+  node translation_sync.js export-csv [--lang de,fr] [--out csv]
+  node translation_sync.js import-csv csv/translation.csv [--lang de]
+
+  One row per key with English, then a value and status column per language
+  (missing/stale/untranslated/ok). Blank cells are ignored. A stale cell left
+  unchanged is only imported once its status is set to "ok". Import lists
+  every applied, skipped and rejected cell.
+
+UNTRANSLATED JSON:
+  node translation_sync.js export-json --lang da [--out dir]
+  node translation_sync.js apply-json untranslated_danish.json [--lang da]
+
+  Export writes [{ "key", "english", "hash" }] for missing, "[EN] " and
+  identical-to-English entries. Add a "translation" field to each entry and
+  apply it. Entries whose hash no longer matches English are refused.
 
 WORKFLOW:
   1. Add/change text in translation_${CONFIG.sourceLanguage}.xml
@@ -1330,7 +5859,8 @@ WORKFLOW:
 STATUS MEANINGS:
   ✓ Translated   - Entry exists and hash matches (up to date)
   ~ Stale        - Hash mismatch (English changed since translation)
-  ? Untranslated - Has "[EN] " prefix or exact match to English
+  ? Untranslated - Has "[EN] " prefix, is identical to English, or is Latin
+                   text in a non-Latin language (see explain)
   - Missing      - Key doesn't exist in target file
   !! Duplicate   - Same key appears more than once (data quality issue!)
   x Orphaned     - Key in target file but NOT in English (safe to delete)
@@ -1340,6 +5870,31 @@ VALIDATION (v3.2.0):
   ⚠ Empty Value   - Translation is empty string
   ⚠ Whitespace    - Leading/trailing spaces in translation
 
+MARKUP (v3.15.0) - compared with English, shown by sync and report:
+  ✖ error   $l10n_ reference missing or unknown
+  ✖ error   Bare "%" where English is a format string (needs "%%")
+  ! warning "%%" where English is a plain label (shows both signs)
+  ! warning Different number of \\n line breaks (dialog layouts rely on them)
+  ! warning Unpaired ( [ { « or " where English is balanced
+  · note    English ends with ":" or "..." and the translation does not
+  JSON lists them under markupIssues; SARIF uses each finding's severity.
+
+ENTRY METADATA (v3.20.0) - attributes on English entries:
+  <e k="usedplus_dash_trend" v="Trend:" ctx="Dashboard column header" max="12" eh="..."/>
+  <e k="usedplus_brand" v="UsedPlus" nt="1" eh="..."/>
+
+  ctx  Where the string appears; exported to XLIFF/PO/CSV/JSON for translators
+  max  Character budget; longer translations fail check and are rejected
+       on import
+  nt   Do not translate; sync copies the English text without "[EN] ",
+       a different translation fails check, exports leave it out
+  Other attributes on any entry are kept as written.
+
+PARSING (v3.10.0):
+  ⚠ Unparseable   - Broken entry markup, reported with its line number.
+                    Attributes may be in any order and either quote style;
+                    sync edits entries in place and never rewrites the rest.
+
 ══════════════════════════════════════════════════════════════════════════════
 `);
 }
@@ -1348,29 +5903,159 @@ VALIDATION (v3.2.0):
 // Main
 // ──────────────────────────────────────────────────────────────────────────────
 
-const command = process.argv[2]?.toLowerCase();
-
-switch (command) {
-    case 'sync':
-        syncTranslations();
-        break;
-    case 'check':
-        checkSync();
-        break;
-    case 'status':
-        showStatus();
-        break;
-    case 'report':
-        generateReport();
-        break;
-    case 'validate':
-        validateSync();
-        break;
-    case 'help':
-    case '--help':
-    case '-h':
-        showHelp();
-        break;
-    default:
+/**
+ * Run one command in the current translations directory
+ */
+function runCommand(command) {
+    switch (command) {
+        case 'sync':
+            syncTranslations();
+            break;
+        case 'check':
+            checkSync();
+            break;
+        case 'status':
+            showStatus();
+            break;
+        case 'report':
+            generateReport();
+            break;
+        case 'validate':
+            validateSync();
+            break;
+        case 'prune':
+            pruneTranslations();
+            break;
+        case 'migrate-entities':
+            migrateEntities();
+            break;
+        case 'normalize':
+            normalizeTranslations();
+            break;
+        case 'suggest':
+            suggestTranslations();
+            break;
+        case 'glossary':
+            checkGlossary();
+            break;
+        case 'gui':
+            checkGuiOverflow();
+            break;
+        case 'usage':
+            checkKeyUsage();
+            break;
+        case 'rename-key':
+            renameKey();
+            break;
+        case 'rename-prefix':
+            renamePrefix();
+            break;
+        case 'delete-key':
+            deleteKey();
+            break;
+        case 'explain':
+            explainUntranslated();
+            break;
+        case 'watch':
+            watchTranslations();
+            break;
+        case 'translate':
+            // Settles after main() returns, so it sets the exit code instead of throwing
+            machineTranslate().catch(err => {
+                console.error(`ERROR: ${err.message}`);
+                process.exitCode = 1;
+            });
+            break;
+        case 'export':
+            exportXliff();
+            break;
+        case 'import':
+            importXliff();
+            break;
+        case 'export-po':
+            exportPo();
+            break;
+        case 'import-po':
+            importPo();
+            break;
+        case 'export-csv':
+            exportCsv();
+            break;
+        case 'import-csv':
+            importCsv();
+            break;
+        case 'export-json':
+            exportJson();
+            break;
+        case 'apply-json':
+            applyJson();
+            break;
+        case 'help':
+        case '--help':
+        case '-h':
+            showHelp();
+            break;
+        default:
+            showHelp();
+    }
+}
+
+// Commands that keep running after they return; they take one directory
+const LONG_RUNNING_COMMANDS = ['watch', 'translate'];
+
+/**
+ * Run the command once per --dir (default: the directory this file is in).
+ * A failing directory doesn't stop the others; the exit code is the worst.
+ */
+function main() {
+    const command = process.argv[2]?.toLowerCase();
+    if (!command || ['help', '--help', '-h'].includes(command)) {
         showHelp();
+        return;
+    }
+
+    const dirs = getOptionValues('dir').map(resolveUserPath);
+    if (dirs.length === 0) dirs.push(__dirname);
+    if (dirs.length > 1 && LONG_RUNNING_COMMANDS.includes(command)) {
+        console.error(`ERROR: ${command} works on one --dir at a time`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Text gets a header per directory; JSON and SARIF are combined into one
+    // document, so the output stays parseable
+    const outputFormat = (getOption('format') || 'text').toLowerCase();
+    const combine = dirs.length > 1 && outputFormat !== 'text';
+    const outcomes = [];
+    let exitCode = 0;
+
+    for (const dir of dirs) {
+        if (dirs.length > 1 && !combine) console.log(`\n▶ ${dir}`);
+        const outcome = { directory: dir, documents: [], error: null };
+        collectedDocuments = combine ? outcome.documents : null;
+        process.exitCode = 0;
+        try {
+            useDirectory(dir);
+            runCommand(command);
+        } catch (err) {
+            console.error(`ERROR: ${err.message}`);
+            outcome.error = err.message;
+            process.exitCode = 1;
+        }
+        outcomes.push(outcome);
+        exitCode = Math.max(exitCode, process.exitCode || 0);
+    }
+    collectedDocuments = null;
+
+    // Commands without machine-readable output have printed text already
+    if (combine && outcomes.some(outcome => outcome.documents.length > 0)) {
+        printCombinedDocuments(outputFormat, outcomes);
+    }
+    process.exitCode = exitCode;
+}
+
+if (require.main === module) {
+    main();
 }
+
+module.exports = { parseTranslationFile, validateEntry, getHash, sync };